@@ -0,0 +1,453 @@
+/*
+ * analysis.js
+ *
+ * Summaries of a session of the Visual Working Memory experiment, computed
+ * from the `p` data object: accuracy, category-level accuracy and median
+ * response time per set size x encoding time x context cell, a capacity
+ * estimate per set size, a breakdown of the errors into state swaps and
+ * foil-category errors with a mixture model separating object memory from
+ * state memory, and a small chart of the cell accuracies.  The
+ * experiment shows them on the experimenter summary screen at the end of a
+ * session and exports them as a standalone HTML report; in Node the module
+ * is loaded with `require('../analysis.js')`, so saved JSON files can be
+ * summarised the same way (see tools/analyse.js).
+ *
+ * Catch trials are left out of every summary, as are the missing
+ * correctness and response time of trials that timed out.  A trial that
+ * timed out and was repeated at the end of its block counts once as a
+ * timeout and once as a response.  A trial during which fullscreen was
+ * left is left out; its repetition counts instead.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SemanticVwmAnalysis = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Proportion correct expected by guessing on the four-alternative screen
+  const CHANCE = 1 / 4;
+
+  // Line colours of the chart, one per context x encoding time
+  const CHART_COLOURS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f'];
+
+  /**
+   * Mean of the non-null values of a list.
+   * @param {Array<number|null>} values Values to average
+   * @returns {number|null} The mean, or null if there are no values
+   */
+  function mean(values) {
+    const present = values.filter(v => v !== null && v !== undefined);
+    return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+  }
+
+  /**
+   * Median of the non-null values of a list.
+   * @param {Array<number|null>} values Values to summarise
+   * @returns {number|null} The median, or null if there are no values
+   */
+  function median(values) {
+    const sorted = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Capacity estimate for a four-alternative forced choice:
+   * K = N x (PC - 1/4) / (3/4).
+   * @param {number} setSize Number of items in the memory array (N)
+   * @param {number|null} pc Proportion correct
+   * @returns {number|null} The estimate, or null without a proportion
+   */
+  function capacity(setSize, pc) {
+    return pc === null ? null : setSize * (pc - CHANCE) / (1 - CHANCE);
+  }
+
+  /**
+   * List the trials of a record that enter the summaries, leaving out
+   * catch trials and trials during which fullscreen was left, which are
+   * only flagged where fullscreen was required.  Files written before
+   * these were recorded lack the `catch_type` or `fullscreen_exit` column
+   * and contain no such trials.
+   * @param {Object} task Column-oriented trial record (`p.task`)
+   * @returns {Array<number>} Row indices of the record
+   */
+  function analysedTrials(task) {
+    return task.trial.map((_, k) => k).filter(k => (!task.catch_type || task.catch_type[k] === null) &&
+      (!task.fullscreen_exit || task.fullscreen_exit[k] !== 1));
+  }
+
+  /**
+   * Summarise a group of trials of a record.
+   * @param {Object} task Column-oriented trial record
+   * @param {Array<number>} rows Row indices of the group
+   * @returns {{n: number, n_timeout: number, accuracy: number|null,
+   *   category_accuracy: number|null, median_rt: number|null}}
+   */
+  function summariseRows(task, rows) {
+    return {
+      n: rows.length,
+      n_timeout: rows.filter(k => task.response[k] === 'timeout').length,
+      accuracy: mean(rows.map(k => task.correct_ans[k])),
+      category_accuracy: mean(rows.map(k => task.correct_cat[k])),
+      median_rt: median(rows.map(k => task.rt[k]))
+    };
+  }
+
+  /**
+   * Summarise every set size x encoding time x context cell of a record,
+   * in the order of set size, encoding time and context.
+   * @param {Object} task Column-oriented trial record
+   * @returns {Array<Object>} One row per cell: { set_size, encoding_time,
+   *   context, n, n_timeout, accuracy, category_accuracy, median_rt }
+   */
+  function conditionSummary(task) {
+    const cells = new Map();
+    analysedTrials(task).forEach(k => {
+      const key = [task.set_size[k], task.encoding_time[k], task.context[k]].join('|');
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(k);
+    });
+    return [...cells.values()]
+      .map(rows => Object.assign({
+        set_size: parseInt(task.set_size[rows[0]].slice(4), 10),
+        encoding_time: task.encoding_time[rows[0]],
+        context: task.context[rows[0]]
+      }, summariseRows(task, rows)))
+      .sort((a, b) => a.set_size - b.set_size || a.encoding_time - b.encoding_time ||
+        a.context.localeCompare(b.context));
+  }
+
+  /**
+   * Estimate capacity per set size from the accuracy over all encoding
+   * times and contexts of that set size.
+   * @param {Object} task Column-oriented trial record
+   * @returns {Array<Object>} One row per set size: { set_size, n,
+   *   n_timeout, accuracy, capacity_k }
+   */
+  function capacitySummary(task) {
+    const sizes = new Map();
+    analysedTrials(task).forEach(k => {
+      const n = parseInt(task.set_size[k].slice(4), 10);
+      if (!sizes.has(n)) sizes.set(n, []);
+      sizes.get(n).push(k);
+    });
+    return [...sizes.keys()].sort((a, b) => a - b).map(n => {
+      const rows = sizes.get(n);
+      const summary = summariseRows(task, rows);
+      return {
+        set_size: n,
+        n: summary.n,
+        n_timeout: summary.n_timeout,
+        accuracy: summary.accuracy,
+        capacity_k: capacity(n, summary.accuracy)
+      };
+    });
+  }
+
+  /**
+   * Mean of a sample with a percentile bootstrap confidence interval.
+   * @param {Array<number|null>} values Sample; null values are left out
+   * @param {number} nBoot Number of bootstrap resamples
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @param {number} [level=0.95] Coverage of the interval
+   * @returns {{n: number, mean: number|null, ci_lower: number|null,
+   *   ci_upper: number|null}}
+   */
+  function bootstrapMean(values, nBoot, rng, level = 0.95) {
+    const sample = values.filter(v => v !== null && v !== undefined);
+    if (!sample.length) return { n: 0, mean: null, ci_lower: null, ci_upper: null };
+    const means = [];
+    for (let b = 0; b < nBoot; b++) {
+      let sum = 0;
+      for (let i = 0; i < sample.length; i++) {
+        sum += sample[Math.floor(rng() * sample.length)];
+      }
+      means.push(sum / sample.length);
+    }
+    means.sort((a, c) => a - c);
+    const tail = (1 - level) / 2;
+    const at = q => means[Math.min(nBoot - 1, Math.max(0, Math.round(q * (nBoot - 1))))];
+    return { n: sample.length, mean: mean(sample), ci_lower: at(tail), ci_upper: at(1 - tail) };
+  }
+
+  /**
+   * Fit the mixture model of a 4AFC cell.  With probability o the object
+   * is remembered and one of its two states chosen; given the object, its
+   * studied state is remembered with probability s and otherwise guessed.
+   * Without the object all four items are guessed alike.  Hence
+   * P(foil) = (1 - o) / 2 and P(target) - P(match_obj) = o x s, giving the
+   * closed form o = 1 - 2 P(foil) and s = (P(target) - P(match_obj)) / o.
+   * Both estimates are clamped to [0, 1]; s is undefined when o is 0.
+   * @param {number|null} pTarget Proportion of match_target responses
+   * @param {number|null} pMatchObj Proportion of match_obj responses (state swaps)
+   * @param {number|null} pFoil Proportion of foil_1 and foil_2 responses
+   * @returns {{object_memory: number|null, state_memory: number|null}}
+   */
+  function fitMixture(pTarget, pMatchObj, pFoil) {
+    if (pTarget === null || pMatchObj === null || pFoil === null) {
+      return { object_memory: null, state_memory: null };
+    }
+    const clamp = v => Math.min(1, Math.max(0, v));
+    const o = clamp(1 - 2 * pFoil);
+    return { object_memory: o, state_memory: o > 0 ? clamp((pTarget - pMatchObj) / o) : null };
+  }
+
+  /**
+   * Break down the responses of every set size x encoding time x context
+   * cell into correct responses, state swaps (the studied object in its
+   * other state) and foil-category errors, and fit the mixture model to
+   * each cell.  Proportions are out of the trials answered in time.
+   * @param {Object} data The `p` data object
+   * @returns {Array<Object>} Tidy table with one row per cell: {
+   *   participant, set_size, encoding_time, context, n, n_timeout,
+   *   n_target, n_state_swap, n_foil, p_target, p_state_swap, p_foil,
+   *   object_memory, state_memory }
+   */
+  function errorTable(data) {
+    const task = data.task;
+    const cells = new Map();
+    analysedTrials(task).forEach(k => {
+      const key = [task.set_size[k], task.encoding_time[k], task.context[k]].join('|');
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(k);
+    });
+    return [...cells.values()]
+      .map(rows => {
+        const responses = rows.map(k => task.response[k]);
+        const answered = responses.filter(r => r !== 'timeout').length;
+        const counts = {
+          n_target: responses.filter(r => r === 'match_target').length,
+          n_state_swap: responses.filter(r => r === 'match_obj').length,
+          n_foil: responses.filter(r => r === 'foil_1' || r === 'foil_2').length
+        };
+        const rate = n => answered ? n / answered : null;
+        const rates = {
+          p_target: rate(counts.n_target),
+          p_state_swap: rate(counts.n_state_swap),
+          p_foil: rate(counts.n_foil)
+        };
+        return Object.assign({
+          participant: data.participant.number,
+          set_size: parseInt(task.set_size[rows[0]].slice(4), 10),
+          encoding_time: task.encoding_time[rows[0]],
+          context: task.context[rows[0]],
+          n: rows.length,
+          n_timeout: rows.length - answered
+        }, counts, rates, fitMixture(rates.p_target, rates.p_state_swap, rates.p_foil));
+      })
+      .sort((a, b) => a.set_size - b.set_size || a.encoding_time - b.encoding_time ||
+        a.context.localeCompare(b.context));
+  }
+
+  /**
+   * Summarise a session for the experimenter: what was run, how much of it
+   * is usable, which images were skipped after failing to load, and the
+   * cell and capacity summaries.
+   * @param {Object} data The `p` data object
+   * @returns {Object} Session summary
+   */
+  function summariseSession(data) {
+    const task = data.task;
+    const rows = analysedTrials(task);
+    const count = column => (task[column] || []).filter(v => v === 1).length;
+    return {
+      participant: data.participant.number,
+      seed: data.seed,
+      status: data.status,
+      n_trials: task.trial.length,
+      n_catch: (task.catch_type || []).filter(type => type !== null).length,
+      overall: summariseRows(task, rows),
+      flags: {
+        page_hidden: count('page_hidden'),
+        focus_lost: count('focus_lost'),
+        fullscreen_exit: count('fullscreen_exit'),
+        image_error: count('image_error'),
+        fullscreen_pauses: (data.events || []).filter(event => event.type === 'fullscreen_pause').length
+      },
+      // Paths of the images the participant went on without
+      images_skipped: [...new Set((data.events || []).filter(event => event.type === 'images_skipped')
+        .flatMap(event => event.detail))],
+      catch_summary: data.catch_summary || null,
+      conditions: conditionSummary(task),
+      capacity: capacitySummary(task),
+      errors: errorTable(data)
+    };
+  }
+
+  /**
+   * Escape text for use in HTML.
+   * @param {*} value Value to show
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  /**
+   * Format a number for the report; missing values are shown as a dash.
+   * @param {number|null} value Value to format
+   * @param {number} digits Digits after the decimal point
+   * @returns {string} Formatted value
+   */
+  function formatNumber(value, digits) {
+    return value === null || value === undefined ? '–' : value.toFixed(digits);
+  }
+
+  /**
+   * Draw the accuracy of every cell as an inline SVG line chart: set size
+   * on the x axis, proportion correct on the y axis and one line per
+   * context x encoding time, with chance marked by a dashed line.
+   * @param {Object} summary Session summary from summariseSession
+   * @returns {string} SVG markup
+   */
+  function summaryChart(summary) {
+    const width = 480;
+    const height = 280;
+    const margin = { top: 20, right: 170, bottom: 40, left: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const sizes = [...new Set(summary.conditions.map(cell => cell.set_size))];
+    const x = size => margin.left + (sizes.length > 1 ? sizes.indexOf(size) / (sizes.length - 1) : 0.5) * plotWidth;
+    const y = value => margin.top + (1 - value) * plotHeight;
+    const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+      `viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif" font-size="11">`];
+    [0, 0.25, 0.5, 0.75, 1].forEach(tick => {
+      // Chance level is dashed
+      const style = tick === CHANCE ? 'stroke="#999" stroke-dasharray="4 3"' : 'stroke="#ddd"';
+      parts.push(`<line x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${y(tick)}" y2="${y(tick)}" ${style}/>`);
+      parts.push(`<text x="${margin.left - 6}" y="${y(tick) + 4}" text-anchor="end">${tick.toFixed(2)}</text>`);
+    });
+    sizes.forEach(size => {
+      parts.push(`<text x="${x(size)}" y="${margin.top + plotHeight + 16}" text-anchor="middle">${size}</text>`);
+    });
+    parts.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 6}" text-anchor="middle">Set size</text>`);
+    parts.push(`<text transform="translate(12 ${margin.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">Proportion correct</text>`);
+    const series = [...new Set(summary.conditions.map(cell => `${cell.context} ${cell.encoding_time} s`))];
+    series.forEach((name, s) => {
+      const colour = CHART_COLOURS[s % CHART_COLOURS.length];
+      const points = summary.conditions
+        .filter(cell => `${cell.context} ${cell.encoding_time} s` === name && cell.accuracy !== null)
+        .map(cell => [x(cell.set_size), y(cell.accuracy)]);
+      if (points.length > 1) {
+        parts.push(`<polyline fill="none" stroke="${colour}" stroke-width="2" points="${points.map(pt => pt.join(',')).join(' ')}"/>`);
+      }
+      points.forEach(([px, py]) => parts.push(`<circle cx="${px}" cy="${py}" r="3" fill="${colour}"/>`));
+      const ly = margin.top + 8 + s * 16;
+      parts.push(`<line x1="${width - margin.right + 15}" x2="${width - margin.right + 35}" y1="${ly}" y2="${ly}" stroke="${colour}" stroke-width="2"/>`);
+      parts.push(`<text x="${width - margin.right + 40}" y="${ly + 4}">${escapeHtml(name)}</text>`);
+    });
+    parts.push('</svg>');
+    return parts.join('');
+  }
+
+  /**
+   * Format a session summary as HTML: an overview, the cell table, the
+   * capacity table, the chart and any skipped images.  Used both on the
+   * summary screen and in the standalone report.
+   * @param {Object} summary Session summary from summariseSession
+   * @returns {string} HTML markup
+   */
+  function summaryHtml(summary) {
+    const overall = summary.overall;
+    const flags = summary.flags;
+    const catchSummary = summary.catch_summary;
+    const overview = [
+      `Participant ${escapeHtml(summary.participant)}, seed ${escapeHtml(summary.seed)}, session ${escapeHtml(summary.status)}.`,
+      `${summary.n_trials} trials recorded (${summary.n_catch} catch trials); ${overall.n_timeout} timeouts.`,
+      `Overall accuracy ${formatNumber(overall.accuracy, 3)}, category accuracy ${formatNumber(overall.category_accuracy, 3)}, ` +
+        `median RT ${formatNumber(overall.median_rt, 3)} s.`,
+      `Trials with the page hidden: ${flags.page_hidden}; with focus lost: ${flags.focus_lost}; ` +
+        `with missing images: ${flags.image_error}; with fullscreen left (repeated): ${flags.fullscreen_exit}. ` +
+        `Fullscreen pauses: ${flags.fullscreen_pauses}.`
+    ];
+    if (summary.images_skipped.length) {
+      overview.push(`Images skipped after failing to load: ${summary.images_skipped.length}, listed below; ` +
+        'they were shown as blank spaces.');
+    }
+    if (catchSummary && catchSummary.n) {
+      overview.push(`Catch trials passed: ${catchSummary.passed} of ${catchSummary.n} (${formatNumber(catchSummary.pass_rate, 3)}).`);
+    }
+    const cellRows = summary.conditions.map(cell => `<tr><td>${cell.set_size}</td><td>${cell.encoding_time}</td>` +
+      `<td>${escapeHtml(cell.context)}</td><td>${cell.n}</td><td>${cell.n_timeout}</td>` +
+      `<td>${formatNumber(cell.accuracy, 3)}</td><td>${formatNumber(cell.category_accuracy, 3)}</td>` +
+      `<td>${formatNumber(cell.median_rt, 3)}</td></tr>`);
+    const errorRows = summary.errors.map(row => `<tr><td>${row.set_size}</td><td>${row.encoding_time}</td>` +
+      `<td>${escapeHtml(row.context)}</td><td>${formatNumber(row.p_target, 3)}</td>` +
+      `<td>${formatNumber(row.p_state_swap, 3)}</td><td>${formatNumber(row.p_foil, 3)}</td>` +
+      `<td>${formatNumber(row.object_memory, 3)}</td><td>${formatNumber(row.state_memory, 3)}</td></tr>`);
+    const capacityRows = summary.capacity.map(row => `<tr><td>${row.set_size}</td><td>${row.n}</td>` +
+      `<td>${formatNumber(row.accuracy, 3)}</td><td>${formatNumber(row.capacity_k, 2)}</td></tr>`);
+    return [
+      `<p>${overview.join('<br>')}</p>`,
+      '<h3>Accuracy by condition</h3>',
+      '<table><thead><tr><th>Set size</th><th>Encoding time (s)</th><th>Context</th><th>Trials</th>' +
+        '<th>Timeouts</th><th>Accuracy</th><th>Category accuracy</th><th>Median RT (s)</th></tr></thead>' +
+        `<tbody>${cellRows.join('')}</tbody></table>`,
+      '<h3>Error types</h3>',
+      '<p>State swaps chose the studied object in its other state, foil errors an object of the foil category. ' +
+        'Object memory o = 1 &minus; 2 P(foil) and state memory s = (P(target) &minus; P(state swap)) / o.</p>',
+      '<table><thead><tr><th>Set size</th><th>Encoding time (s)</th><th>Context</th><th>Correct</th>' +
+        '<th>State swaps</th><th>Foil errors</th><th>Object memory</th><th>State memory</th></tr></thead>' +
+        `<tbody>${errorRows.join('')}</tbody></table>`,
+      '<h3>Capacity</h3>',
+      '<p>K = N &times; (PC &minus; 1/4) / (3/4), from the accuracy over all encoding times and contexts.</p>',
+      '<table><thead><tr><th>Set size</th><th>Trials</th><th>Accuracy</th><th>K</th></tr></thead>' +
+        `<tbody>${capacityRows.join('')}</tbody></table>`,
+      `<figure>${summaryChart(summary)}</figure>`
+    ].concat(summary.images_skipped.length ? [
+      '<h3>Skipped images</h3>',
+      `<ul>${summary.images_skipped.map(path => `<li>${escapeHtml(path)}</li>`).join('')}</ul>`
+    ] : []).join('\n');
+  }
+
+  /**
+   * Build a standalone HTML report of a session that can be saved, opened
+   * in any browser and printed to PDF.
+   * @param {Object} summary Session summary from summariseSession
+   * @returns {string} Complete HTML document
+   */
+  function summaryReport(summary) {
+    const title = `Session summary: participant ${escapeHtml(summary.participant)}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; margin: 2rem; color: #000; }
+  table { border-collapse: collapse; margin-bottom: 1rem; }
+  th, td { border: 1px solid #ccc; padding: 0.25rem 0.6rem; text-align: right; }
+  th { background: #f2f2f2; }
+  figure { margin: 0; }
+</style>
+</head>
+<body>
+<h2>${title}</h2>
+${summaryHtml(summary)}
+<p>Generated ${new Date().toISOString()}.</p>
+</body>
+</html>
+`;
+  }
+
+  return {
+    CHANCE,
+    mean,
+    median,
+    capacity,
+    analysedTrials,
+    conditionSummary,
+    capacitySummary,
+    bootstrapMean,
+    fitMixture,
+    errorTable,
+    summariseSession,
+    escapeHtml,
+    summaryChart,
+    summaryHtml,
+    summaryReport
+  };
+});
@@ -0,0 +1,224 @@
+/*
+ * backends.js
+ *
+ * Adapters that connect a session of the Visual Working Memory experiment
+ * to the platforms of online studies.  Each adapter named in
+ * `backend.adapters` of the configuration is created by createAdapters;
+ * script.js, which finds this file as `window.SemanticVwmBackends`, runs
+ * them when the session ends:
+ *
+ *   jatos     Submits the final data as the result data of the study
+ *             component and then ends the study, through jatos.js, so the
+ *             page must be served by JATOS.
+ *   pavlovia  Opens a session of the experiment on Pavlovia, uploads the
+ *             data file to it and closes it again.
+ *   osf       Uploads the data file to a DataPipe-style endpoint that
+ *             stores it in an OSF project.
+ *   prolific  Sends the participant back to Prolific with the completion
+ *             code of the session.
+ *
+ * An adapter is an object with a `label` for messages and one or more of
+ * `submit(upload)`, which stores the data and resolves with a description
+ * of where they went, `complete(status)`, which ends the study on the
+ * platform once the session is over, and `completionUrl(status)`, which
+ * returns the address the participant is sent to, or null.  In Node the module is
+ * loaded with `require('../backends.js')`; `node tools/test_backends.js`
+ * runs every adapter against a local mock of the platforms.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SemanticVwmBackends = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Time to wait for a platform before the upload counts as failed
+  const REQUEST_TIMEOUT_MS = 15000;
+
+  /**
+   * Fetch with a time limit, failing on HTTP errors.
+   * @param {Object} env Environment with a `fetch` function
+   * @param {string} url Address of the request
+   * @param {Object} init Options passed to fetch
+   * @param {string} what Description of the request for error messages
+   * @returns {Promise<Response>} The successful response
+   * @throws {Error} If the request fails, times out or is answered with an
+   *   HTTP error
+   */
+  async function request(env, url, init, what) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const response = await env.fetch(url, Object.assign({ signal: controller.signal }, init));
+      if (!response.ok) throw new Error(`${what} failed: HTTP ${response.status}`);
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Form-encode the fields of a request body.
+   * @param {Object} fields Field names and values
+   * @returns {string} application/x-www-form-urlencoded body
+   */
+  function formBody(fields) {
+    return new URLSearchParams(Object.entries(fields).map(([key, value]) => [key, String(value)])).toString();
+  }
+
+  const FORM_HEADERS = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  /**
+   * JATOS: the data become the result data of the running component,
+   * through the jatos.js of a page served by JATOS.  Completing ends the
+   * study, marked successful unless the session was aborted, without
+   * JATOS's own redirect, so another adapter can still send the
+   * participant on.
+   * @param {Object} settings `backend` section of the configuration
+   * @param {Object} env { fetch, jatos }
+   * @returns {Object} Adapter
+   */
+  function createJatosAdapter(settings, env) {
+    const jatos = () => {
+      if (!env.jatos) throw new Error('jatos.js is not loaded: run the study from JATOS');
+      return env.jatos;
+    };
+    return {
+      label: 'JATOS',
+      async submit(upload) {
+        await jatos().submitResultData(upload.text);
+        return 'JATOS';
+      },
+      async complete(status) {
+        await jatos().endStudyAjax(status === 'complete');
+      }
+    };
+  }
+
+  /**
+   * Pavlovia: open a session of the experiment, upload the data file under
+   * its name and close the session, marked completed unless the session
+   * was aborted.  The experiment must be set to RUNNING on Pavlovia.
+   * @param {Object} settings `backend` section of the configuration
+   * @param {Object} env { fetch }
+   * @returns {Object} Adapter
+   */
+  function createPavloviaAdapter(settings, env) {
+    const sessions = `${settings.pavlovia_url}/api/v2/experiments/${encodeURIComponent(settings.pavlovia_project)}/sessions`;
+    return {
+      label: 'Pavlovia',
+      async submit(upload) {
+        const opened = await request(env, sessions, {
+          method: 'POST',
+          headers: FORM_HEADERS,
+          body: formBody({})
+        }, 'Opening a Pavlovia session');
+        const { token } = await opened.json();
+        if (!token) throw new Error('Pavlovia did not return a session token');
+        const session = `${sessions}/${encodeURIComponent(token)}`;
+        // CSV asks Pavlovia to keep the upload as a file rather than parse
+        // it into its database
+        await request(env, `${session}/results`, {
+          method: 'POST',
+          headers: FORM_HEADERS,
+          body: formBody({ key: upload.filename, value: upload.text, saveFormat: 'CSV' })
+        }, 'Uploading to Pavlovia');
+        await request(env, session, {
+          method: 'DELETE',
+          headers: FORM_HEADERS,
+          body: formBody({ isCompleted: upload.status === 'complete' })
+        }, 'Closing the Pavlovia session');
+        return `${upload.filename} on Pavlovia`;
+      }
+    };
+  }
+
+  /**
+   * OSF: post the data file to a DataPipe-style endpoint, which stores it
+   * in the OSF project of the experiment ID.
+   * @param {Object} settings `backend` section of the configuration
+   * @param {Object} env { fetch }
+   * @returns {Object} Adapter
+   */
+  function createOsfAdapter(settings, env) {
+    return {
+      label: 'OSF',
+      async submit(upload) {
+        await request(env, settings.osf_url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: '*/*' },
+          body: JSON.stringify({ experimentID: settings.osf_experiment_id, filename: upload.filename, data: upload.text })
+        }, 'Uploading to OSF');
+        return `${upload.filename} on OSF`;
+      }
+    };
+  }
+
+  /**
+   * Prolific: the completion URL carries the completion code of finished
+   * sessions, or the code for aborted ones if one is configured.
+   * @param {Object} settings `backend` section of the configuration
+   * @returns {Object} Adapter
+   */
+  function createProlificAdapter(settings) {
+    return {
+      label: 'Prolific',
+      completionUrl(status) {
+        const code = status === 'complete' ? settings.completion_code : settings.aborted_code;
+        if (!code) return null;
+        const separator = settings.prolific_url.includes('?') ? '&' : '?';
+        return `${settings.prolific_url}${separator}cc=${encodeURIComponent(code)}`;
+      }
+    };
+  }
+
+  const ADAPTERS = {
+    jatos: createJatosAdapter,
+    pavlovia: createPavloviaAdapter,
+    osf: createOsfAdapter,
+    prolific: createProlificAdapter
+  };
+
+  /**
+   * Create the adapters named in the configuration, in order.
+   * @param {Object} settings `backend` section of a validated configuration
+   * @param {Object} env { fetch, jatos }: the fetch function to use and the
+   *   jatos.js object of the page, if any
+   * @returns {Array<Object>} Adapters
+   */
+  function createAdapters(settings, env) {
+    return settings.adapters.map(name => Object.assign({ name }, ADAPTERS[name](settings, env)));
+  }
+
+  /**
+   * Read the participant, study and session IDs of a recruitment platform
+   * from URL parameters.
+   * @param {string} search Query string of the page, e.g. `?PROLIFIC_PID=...`
+   * @param {Object} params `url_params` section of the configuration
+   * @param {Object} [extra] Further parameters, such as the
+   *   `urlQueryParameters` of jatos.js, used when missing from `search`
+   * @returns {{participant: ?string, study: ?string, session: ?string}}
+   *   IDs, null where absent or empty
+   */
+  function readUrlIds(search, params, extra = {}) {
+    const query = new URLSearchParams(search);
+    const ids = {};
+    ['participant', 'study', 'session'].forEach(key => {
+      const name = params[key];
+      const value = name ? (query.get(name) || extra[name] || '') : '';
+      ids[key] = String(value).trim() || null;
+    });
+    return ids;
+  }
+
+  return {
+    REQUEST_TIMEOUT_MS,
+    createJatosAdapter,
+    createPavloviaAdapter,
+    createOsfAdapter,
+    createProlificAdapter,
+    createAdapters,
+    readUrlIds
+  };
+});
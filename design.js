@@ -0,0 +1,1053 @@
+/*
+ * design.js
+ *
+ * The trial design of the Visual Working Memory experiment: the
+ * configuration defaults and their validation, the seeded random number
+ * generators, the stimulus dictionary and the condition list of a session.
+ * The same code builds the design in the browser, where script.js finds it
+ * as `window.SemanticVwmDesign`, and in Node, where the tools load it with
+ * `require('../design.js')`.  `node tools/generate_trials.js <seed>` uses
+ * it to write the complete trial list of a seed ahead of time, and the
+ * experiment can run that file instead of generating its design.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SemanticVwmDesign = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // ---------------------------------------------------------------------------
+  // Configuration
+
+  // Default experiment configuration.  The lab can override any of these
+  // keys in config.json (or in another file named with ?config=...) to run
+  // variants of the task without editing the code.
+  const DEFAULT_CONFIG = {
+    // Numbers of items in the memory array; each needs a sizeN folder
+    set_sizes: [2, 4, 6],
+    // Memory array durations in seconds
+    encoding_times: [0.15, 0.5, 1],
+    contexts: ['related', 'unrelated'],
+    categories: Array.from({ length: 10 }, (_, i) => `cat_${i + 1}`),
+    // Objects available in each sizeN folder
+    objects: {
+      size2: ['obj1', 'obj2', 'obj3', 'obj4'],
+      size4: ['obj1', 'obj2', 'obj3', 'obj4'],
+      size6: ['obj1', 'obj2', 'obj3', 'obj4', 'obj5', 'obj6']
+    },
+    // How often every set size x encoding time x context x category cell
+    // is repeated
+    repetitions: 2,
+    // Number of precomputed exemplars per set size x context x category
+    exemplars_per_cell: 12,
+    // Trial list written by tools/generate_trials.js to run instead of
+    // generating the design from the seed; null generates it
+    design_file: null,
+    // Fixation before the memory array and delay after it, in ms
+    fixation_ms: 1000,
+    delay_ms: 1000,
+    // Time allowed for a 4AFC response in ms; null waits indefinitely.
+    // Unanswered trials are recorded with the response 'timeout'.
+    response_deadline_ms: null,
+    // Run every timed-out trial once more at the end of its block
+    requeue_timeouts: false,
+    // How displays are drawn: 'dom' (positioned <img> elements) or 'canvas'
+    // (every display drawn on one <canvas> in a single frame)
+    renderer: 'dom',
+    // Images are loaded block by block, this many at a time; images that
+    // take longer than image_timeout_ms count as failed and can be retried
+    // from the loading screen
+    preload_concurrency: 6,
+    image_timeout_ms: 30000,
+    // Run the task in fullscreen and pause it whenever fullscreen is left.
+    // Trials during which fullscreen was left are flagged (fullscreen_exit)
+    // and run once more at the end of their block.
+    require_fullscreen: false,
+    // Attention checks mixed into the trial list, as a proportion of the
+    // design trials: 'easy' trials (smallest set size, long encoding time,
+    // foil from another category) and 'instructed' trials whose 4AFC
+    // screen asks for the item in a given slot
+    catch_trials: {
+      proportion: 0,
+      types: ['easy', 'instructed'],
+      // Memory array duration of catch trials in seconds
+      encoding_time: 3
+    },
+    // Files offered at the end of a session: 'json' (the `p` object),
+    // 'csv' (one row per trial) and 'bids' (events.tsv plus sidecar)
+    export_formats: ['json', 'csv'],
+    // Practice block run after the instructions, with feedback after every
+    // response.  Its stimuli come from category folders reserved for
+    // practice, which must not be used by the main task.
+    practice: {
+      enabled: false,
+      categories: [],
+      contexts: ['related'],
+      // Trials per practice round
+      trials: 12,
+      // Proportion correct (correct_ans) needed to move on to the main task
+      criterion: 0.75,
+      // Rounds before moving on even if the criterion is not met; 0 repeats
+      // practice until it is met
+      max_rounds: 3,
+      feedback_ms: 1000
+    },
+    // The trial list is split into this many blocks of (nearly) equal
+    // length, separated by self-paced rest breaks
+    blocks: {
+      count: 6,
+      // Show the proportion correct so far on the break screens
+      show_accuracy: false
+    },
+    // Counterbalance the response key of each 4AFC quadrant across
+    // participants (Latin square indexed by participant number) and whether
+    // the 4AFC pairs are arranged in columns or rows.  Both are off by
+    // default, which keeps the original keys and layout for everyone.
+    counterbalance: {
+      keys: false,
+      layout: false
+    },
+    // Size and placement of the stimuli in degrees of visual angle.  When
+    // enabled, a calibration screen measures the screen resolution with a
+    // credit card and asks for the viewing distance before the task starts;
+    // otherwise stimuli are scaled to the window as fractions of its size.
+    visual_angle: {
+      enabled: false,
+      // Width of the memory array images of each set size
+      stimulus_size_deg: { size2: 4, size4: 3.5, size6: 3 },
+      // Distance of the memory array images from fixation
+      eccentricity_deg: 6,
+      // Width of the 4AFC images and distance of their centres from fixation
+      afc_size_deg: 4,
+      afc_eccentricity_deg: 7,
+      // Suggested viewing distance shown on the calibration screen
+      default_distance_cm: 57
+    },
+    // Experimenter summary at the end of a session: accuracy, category
+    // accuracy and median RT per condition, capacity per set size and a
+    // chart, exportable as an HTML report.  Unless show_participant is
+    // set, the end screen does not offer it and the experimenter opens it
+    // with Shift+S.
+    summary_report: {
+      enabled: true,
+      show_participant: false
+    },
+    // Send every completed trial and the final data to the lab's data
+    // server (tools/server.js) at `url`; '' is the server the page came
+    // from.  If it cannot be reached, the files are offered for download.
+    data_server: {
+      enabled: false,
+      url: ''
+    },
+    // Online studies: the platforms the final data are submitted to and
+    // where participants are sent when they finish, see backends.js.
+    // `adapters` lists any of BACKEND_ADAPTERS, run in that order; the
+    // other keys configure the adapter they are named after.
+    backend: {
+      adapters: [],
+      pavlovia_url: 'https://pavlovia.org',
+      // GitLab project id of the experiment on Pavlovia
+      pavlovia_project: '',
+      // DataPipe-style endpoint that stores the file in an OSF project
+      osf_url: 'https://pipe.jspsych.org/api/data/',
+      osf_experiment_id: '',
+      prolific_url: 'https://app.prolific.com/submissions/complete',
+      // Completion code of finished sessions and of aborted ones; aborted
+      // sessions are not redirected without a code of their own
+      completion_code: '',
+      aborted_code: '',
+      // Time the end screen is shown before the redirect
+      redirect_delay_ms: 3000
+    },
+    // URL parameters that carry the participant, study and session IDs of
+    // a recruitment platform.  A participant ID in the URL fills in the
+    // participant number of the demographic form; with skip_form the form
+    // is not shown at all and the age is left empty.
+    url_params: {
+      participant: 'PROLIFIC_PID',
+      study: 'STUDY_ID',
+      session: 'SESSION_ID',
+      skip_form: false
+    }
+  };
+  // Sections of the configuration that are merged key by key with the
+  // defaults rather than replaced as a whole
+  const NESTED_CONFIG_KEYS = ['practice', 'blocks', 'counterbalance', 'visual_angle', 'catch_trials', 'summary_report',
+    'data_server', 'backend', 'url_params'];
+  const EXPORT_FORMATS = ['json', 'csv', 'bids'];
+  const CONTEXTS = ['related', 'unrelated'];
+  const CATCH_TYPES = ['easy', 'instructed'];
+  // Ways of drawing the displays, see the renderers in script.js
+  const RENDERERS = ['dom', 'canvas'];
+  // Platforms the session can report to, see backends.js
+  const BACKEND_ADAPTERS = ['jatos', 'pavlovia', 'osf', 'prolific'];
+  // Orderings of the other objects that makeRelatedStim lists for each
+  // critical object at most; validateConfig rejects object lists that
+  // would need more
+  const MAX_RELATED_ORDERINGS = 5040;
+
+  /**
+   * Check a configuration for values the task cannot run with.
+   * @param {Object} cfg Configuration returned by mergeConfig
+   * @returns {Array<string>} Human-readable problems; empty when valid
+   */
+  function validateConfig(cfg) {
+    const errors = [];
+    const isPositiveInt = v => Number.isInteger(v) && v > 0;
+    const nonEmptyArray = v => Array.isArray(v) && v.length > 0;
+    if (!nonEmptyArray(cfg.set_sizes) || !cfg.set_sizes.every(isPositiveInt)) {
+      errors.push('set_sizes must be a non-empty list of positive whole numbers.');
+    }
+    if (!nonEmptyArray(cfg.encoding_times) ||
+        !cfg.encoding_times.every(t => typeof t === 'number' && t > 0)) {
+      errors.push('encoding_times must be a non-empty list of positive durations in seconds.');
+    }
+    if (!nonEmptyArray(cfg.contexts) || !cfg.contexts.every(c => CONTEXTS.includes(c))) {
+      errors.push(`contexts must be a non-empty list drawn from ${CONTEXTS.join(', ')}.`);
+    }
+    if (!nonEmptyArray(cfg.categories) || new Set(cfg.categories).size !== cfg.categories.length) {
+      errors.push('categories must be a non-empty list of distinct folder names.');
+    }
+    if (!isPositiveInt(cfg.repetitions)) {
+      errors.push('repetitions must be a positive whole number.');
+    }
+    if (!isPositiveInt(cfg.exemplars_per_cell)) {
+      errors.push('exemplars_per_cell must be a positive whole number.');
+    }
+    if (!nonEmptyArray(cfg.export_formats) || !cfg.export_formats.every(f => EXPORT_FORMATS.includes(f))) {
+      errors.push(`export_formats must be a non-empty list drawn from ${EXPORT_FORMATS.join(', ')}.`);
+    }
+    if (cfg.design_file !== null && (typeof cfg.design_file !== 'string' || !cfg.design_file)) {
+      errors.push('design_file must be the path of a design file, or null to generate the design.');
+    }
+    ['fixation_ms', 'delay_ms'].forEach(key => {
+      if (typeof cfg[key] !== 'number' || cfg[key] < 0) {
+        errors.push(`${key} must be a duration in ms of zero or more.`);
+      }
+    });
+    if (!RENDERERS.includes(cfg.renderer)) {
+      errors.push(`renderer must be one of ${RENDERERS.join(', ')}.`);
+    }
+    if (!isPositiveInt(cfg.preload_concurrency)) {
+      errors.push('preload_concurrency must be a positive whole number.');
+    }
+    if (typeof cfg.image_timeout_ms !== 'number' || cfg.image_timeout_ms <= 0) {
+      errors.push('image_timeout_ms must be a positive duration in ms.');
+    }
+    if (cfg.response_deadline_ms !== null &&
+        (typeof cfg.response_deadline_ms !== 'number' || cfg.response_deadline_ms <= 0)) {
+      errors.push('response_deadline_ms must be a positive duration in ms, or null for no deadline.');
+    }
+    ['requeue_timeouts', 'require_fullscreen'].forEach(key => {
+      if (typeof cfg[key] !== 'boolean') {
+        errors.push(`${key} must be true or false.`);
+      }
+    });
+    if (!isPositiveInt(cfg.blocks.count)) {
+      errors.push('blocks.count must be a positive whole number.');
+    }
+    if (typeof cfg.blocks.show_accuracy !== 'boolean') {
+      errors.push('blocks.show_accuracy must be true or false.');
+    }
+    ['keys', 'layout'].forEach(key => {
+      if (typeof cfg.counterbalance[key] !== 'boolean') {
+        errors.push(`counterbalance.${key} must be true or false.`);
+      }
+    });
+    ['enabled', 'show_participant'].forEach(key => {
+      if (typeof cfg.summary_report[key] !== 'boolean') {
+        errors.push(`summary_report.${key} must be true or false.`);
+      }
+    });
+    if (typeof cfg.data_server.enabled !== 'boolean') {
+      errors.push('data_server.enabled must be true or false.');
+    }
+    if (typeof cfg.data_server.url !== 'string') {
+      errors.push("data_server.url must be the server's address, or '' for the server of the page.");
+    }
+    const backend = cfg.backend;
+    if (!Array.isArray(backend.adapters) || !backend.adapters.every(a => BACKEND_ADAPTERS.includes(a)) ||
+        new Set(backend.adapters).size !== backend.adapters.length) {
+      errors.push(`backend.adapters must be a list of distinct adapters drawn from ${BACKEND_ADAPTERS.join(', ')}.`);
+    } else {
+      const required = { pavlovia: 'pavlovia_project', osf: 'osf_experiment_id', prolific: 'completion_code' };
+      Object.entries(required).forEach(([adapter, key]) => {
+        if (backend.adapters.includes(adapter) && (typeof backend[key] !== 'string' || !backend[key])) {
+          errors.push(`backend.${key} must be set to use the ${adapter} adapter.`);
+        }
+      });
+    }
+    ['pavlovia_url', 'pavlovia_project', 'osf_url', 'osf_experiment_id', 'prolific_url',
+      'completion_code', 'aborted_code'].forEach(key => {
+      if (typeof backend[key] !== 'string') {
+        errors.push(`backend.${key} must be a string.`);
+      }
+    });
+    if (typeof backend.redirect_delay_ms !== 'number' || backend.redirect_delay_ms < 0) {
+      errors.push('backend.redirect_delay_ms must be a duration in ms of zero or more.');
+    }
+    ['participant', 'study', 'session'].forEach(key => {
+      if (typeof cfg.url_params[key] !== 'string') {
+        errors.push(`url_params.${key} must be the name of a URL parameter, or '' to ignore it.`);
+      }
+    });
+    if (typeof cfg.url_params.skip_form !== 'boolean') {
+      errors.push('url_params.skip_form must be true or false.');
+    }
+    const catchTrials = cfg.catch_trials;
+    if (typeof catchTrials.proportion !== 'number' || catchTrials.proportion < 0 || catchTrials.proportion > 0.5) {
+      errors.push('catch_trials.proportion must be a proportion between 0 and 0.5.');
+    }
+    if (!nonEmptyArray(catchTrials.types) || !catchTrials.types.every(t => CATCH_TYPES.includes(t))) {
+      errors.push(`catch_trials.types must be a non-empty list drawn from ${CATCH_TYPES.join(', ')}.`);
+    }
+    if (typeof catchTrials.encoding_time !== 'number' || catchTrials.encoding_time <= 0) {
+      errors.push('catch_trials.encoding_time must be a positive duration in seconds.');
+    }
+    const angle = cfg.visual_angle;
+    if (typeof angle.enabled !== 'boolean') {
+      errors.push('visual_angle.enabled must be true or false.');
+    }
+    ['eccentricity_deg', 'afc_size_deg', 'afc_eccentricity_deg', 'default_distance_cm'].forEach(key => {
+      if (typeof angle[key] !== 'number' || angle[key] <= 0) {
+        errors.push(`visual_angle.${key} must be a positive number.`);
+      }
+    });
+    const practice = cfg.practice;
+    if (practice.enabled) {
+      if (!nonEmptyArray(practice.categories) || new Set(practice.categories).size !== practice.categories.length) {
+        errors.push('practice.categories must be a non-empty list of distinct folder names.');
+      } else if (nonEmptyArray(cfg.categories) && practice.categories.some(c => cfg.categories.includes(c))) {
+        errors.push('practice.categories must not include categories of the main task.');
+      }
+      if (!nonEmptyArray(practice.contexts) || !practice.contexts.every(c => CONTEXTS.includes(c))) {
+        errors.push(`practice.contexts must be a non-empty list drawn from ${CONTEXTS.join(', ')}.`);
+      }
+      if (!isPositiveInt(practice.trials)) {
+        errors.push('practice.trials must be a positive whole number.');
+      }
+      if (typeof practice.criterion !== 'number' || practice.criterion < 0 || practice.criterion > 1) {
+        errors.push('practice.criterion must be a proportion between 0 and 1.');
+      }
+      if (!Number.isInteger(practice.max_rounds) || practice.max_rounds < 0) {
+        errors.push('practice.max_rounds must be a whole number of zero or more.');
+      }
+      if (typeof practice.feedback_ms !== 'number' || practice.feedback_ms < 0) {
+        errors.push('practice.feedback_ms must be a duration in ms of zero or more.');
+      }
+    }
+    if (errors.length) return errors;
+    for (const n of cfg.set_sizes) {
+      const objects = (cfg.objects || {})[`size${n}`];
+      if (!nonEmptyArray(objects)) {
+        errors.push(`objects.size${n} must list the objects of set size ${n}.`);
+      } else if (objects.length < n) {
+        errors.push(`objects.size${n} needs at least ${n} objects for a related display.`);
+      } else if (cfg.contexts.includes('related') && countOrderings(objects.length - 1, n - 1) > MAX_RELATED_ORDERINGS) {
+        let max = n;
+        while (countOrderings(max, n - 1) <= MAX_RELATED_ORDERINGS) max++;
+        errors.push(`objects.size${n} lists ${objects.length} objects; related displays of set size ${n} can use at most ${max}.`);
+      }
+      // Every display needs its own categories plus one foil category
+      const needed = cfg.contexts.includes('unrelated') ? n + 1 : 2;
+      if (cfg.categories.length < needed) {
+        errors.push(`Set size ${n} needs at least ${needed} categories.`);
+      }
+      const size = (cfg.visual_angle.stimulus_size_deg || {})[`size${n}`];
+      if (cfg.visual_angle.enabled && !(typeof size === 'number' && size > 0)) {
+        errors.push(`visual_angle.stimulus_size_deg.size${n} must be a positive number.`);
+      }
+      const practiceNeeded = practice.contexts.includes('unrelated') ? n + 1 : 2;
+      if (practice.enabled && practice.categories.length < practiceNeeded) {
+        errors.push(`Set size ${n} needs at least ${practiceNeeded} practice categories.`);
+      }
+    }
+    return errors;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Randomisation and stimulus selection
+
+  /**
+   * Create a seeded pseudo-random number generator (mulberry32).  The
+   * returned function behaves like Math.random and yields floats in
+   * [0, 1), but its sequence is fully determined by the seed, so the
+   * trial sequence of a session can be regenerated from the recorded seed.
+   * @param {number} seed Unsigned 32-bit integer seed
+   * @returns {Function} Generator returning numbers in [0, 1)
+   */
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Derive the seed of an independent sub-stream (e.g. a single trial)
+   * from the session seed.  Giving every trial its own stream means the
+   * randomisation of trial i does not depend on how many numbers earlier
+   * trials consumed.
+   * @param {number} seed Session seed
+   * @param {number} stream Index of the sub-stream
+   * @returns {number} Unsigned 32-bit seed for the sub-stream
+   */
+  function deriveSeed(seed, stream) {
+    let h = (seed ^ Math.imul(stream + 1, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  /**
+   * Parse a seed entered in the URL or the demographic form.  Seeds must
+   * be unsigned 32-bit integers.
+   * @param {string} value Raw seed text
+   * @returns {number|null} The seed, or null if the text is not a valid seed
+   */
+  function parseSeed(value) {
+    const text = String(value).trim();
+    if (!/^\d+$/.test(text)) return null;
+    const seed = Number(text);
+    return seed <= 4294967295 ? seed : null;
+  }
+
+  /**
+   * Draw a fresh seed for sessions that were not given one explicitly.
+   * @returns {number} Unsigned 32-bit integer seed
+   */
+  function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Shuffle an array in place using the Fisher–Yates algorithm.
+   * @param {Array} array The array to shuffle
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @returns {Array} The shuffled array
+   */
+  function shuffle(array, rng) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * Generate all permutations of length k from the elements of arr.
+   * @param {Array} arr Source array
+   * @param {number} k Length of each permutation
+   * @returns {Array<Array>} List of permutations
+   */
+  function permutations(arr, k) {
+    const results = [];
+    function helper(current, remaining) {
+      if (current.length === k) {
+        results.push(current.slice());
+        return;
+      }
+      for (let i = 0; i < remaining.length; i++) {
+        const next = remaining[i];
+        const rest = remaining.slice(0, i).concat(remaining.slice(i + 1));
+        helper(current.concat(next), rest);
+      }
+    }
+    helper([], arr);
+    return results;
+  }
+
+  /**
+   * Count the permutations of length k of n elements, n! / (n - k)!.
+   * @param {number} n Number of elements
+   * @param {number} k Length of each permutation
+   * @returns {number} Number of permutations
+   */
+  function countOrderings(n, k) {
+    let count = 1;
+    for (let i = 0; i < k; i++) count *= n - i;
+    return count;
+  }
+
+  /**
+   * Generate all k-combinations of the elements of arr.
+   * @param {Array} arr Source array
+   * @param {number} k Number of elements per combination
+   * @returns {Array<Array>} List of combinations
+   */
+  function combinations(arr, k) {
+    const results = [];
+    function combine(start, combo) {
+      if (combo.length === k) {
+        results.push(combo.slice());
+        return;
+      }
+      for (let i = start; i < arr.length; i++) {
+        combo.push(arr[i]);
+        combine(i + 1, combo);
+        combo.pop();
+      }
+    }
+    combine(0, []);
+    return results;
+  }
+
+  /**
+   * Generate all combinations of 's1' and 's2' repeated n times.
+   * Equivalent to computing a Cartesian product of length n.
+   * @param {number} n Number of elements in each state sequence
+   * @returns {Array<Array>} List of state combinations
+   */
+  function getStates(n) {
+    const results = [];
+    function helper(prefix, depth) {
+      if (depth === n) {
+        results.push(prefix.slice());
+        return;
+      }
+      ['s1', 's2'].forEach(s => {
+        prefix.push(s);
+        helper(prefix, depth + 1);
+        prefix.pop();
+      });
+    }
+    helper([], 0);
+    return results;
+  }
+
+  /**
+   * Create combos for unrelated conditions.  Given a fixed category and
+   * the number of additional categories to select, returns up to `count`
+   * randomly selected combinations, each beginning with the fixed category.
+   * @param {string} fixedCat The fixed category
+   * @param {number} nCombo Number of other categories to choose
+   * @param {Array<string>} categories Master list of all categories
+   * @param {number} count Maximum number of combinations to return
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @returns {Array<Array>} A list of category combinations
+   */
+  function makeCombos(fixedCat, nCombo, categories, count, rng) {
+    const others = categories.filter(c => c !== fixedCat);
+    const allCombos = combinations(others, nCombo);
+    shuffle(allCombos, rng);
+    const selected = allCombos.slice(0, count);
+    return selected.map(c => [fixedCat, ...c]);
+  }
+
+  /**
+   * Generate foil categories for the two-alternative 4AFC task.  For each
+   * selection of categories, choose one foil category that is not present
+   * in the selection and return a pair [targetCat, foilCat].
+   * @param {Array<Array>} selectedCat List of category selections
+   * @param {Array<string>} categories Master list of all categories
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @returns {Array<Array>} A list of [targetCat, foilCat] pairs
+   */
+  function makeAfcCat(selectedCat, categories, rng) {
+    const afcCat = [];
+    for (const c of selectedCat) {
+      const exclude = new Set(c);
+      const others = categories.filter(x => !exclude.has(x));
+      const foilCat = others[Math.floor(rng() * others.length)];
+      afcCat.push([c[0], foilCat]);
+    }
+    return afcCat;
+  }
+
+  /**
+   * Create the category lists for the unrelated context.  Each list starts
+   * with the fixed category followed by n - 1 other categories.  When there
+   * are fewer distinct combinations than exemplars (e.g. set size 2 with
+   * ten categories) further shuffled combinations are appended.
+   * @param {string} fixedCat The fixed category
+   * @param {number} n Set size
+   * @param {Array<string>} categories Master list of all categories
+   * @param {number} count Number of exemplars to create
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @returns {Array<Array>} A list of `count` category lists
+   */
+  function makeUnrelatedCat(fixedCat, n, categories, count, rng) {
+    const diffCat = [];
+    while (diffCat.length < count) {
+      const combos = makeCombos(fixedCat, n - 1, categories, count - diffCat.length, rng);
+      diffCat.push(...combos);
+    }
+    return diffCat;
+  }
+
+  /**
+   * Create the object lists for the related context.  Every object is the
+   * critical (first) item equally often and is followed by n - 1 different
+   * objects in random order, so no object repeats within a display.  All
+   * orderings of the other objects are listed, which validateConfig keeps
+   * to MAX_RELATED_ORDERINGS.
+   * @param {Array<string>} objects Objects available at this set size
+   * @param {number} n Set size
+   * @param {number} count Number of exemplars to create
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @returns {Array<Array>} A list of `count` object lists
+   */
+  function makeRelatedStim(objects, n, count, rng) {
+    const perFirst = Math.ceil(count / objects.length);
+    const stimuli = [];
+    for (const f of objects) {
+      const tails = permutations(objects.filter(o => o !== f), n - 1);
+      const picked = [];
+      while (picked.length < perFirst) {
+        picked.push(...shuffle(tails.slice(), rng));
+      }
+      picked.slice(0, perFirst).forEach(tail => stimuli.push([f, ...tail]));
+    }
+    return stimuli.slice(0, count);
+  }
+
+  /**
+   * Create the object lists for the unrelated context.  Items come from
+   * different categories, so an object number may repeat within a display.
+   * The critical object is left out of the companions only when the other
+   * objects still leave a choice; otherwise every display would show the
+   * same object numbers.
+   * @param {Array<string>} objects Objects available at this set size
+   * @param {number} n Set size
+   * @param {number} count Number of exemplars to create
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @returns {Array<Array>} A list of `count` object lists
+   */
+  function makeUnrelatedStim(objects, n, count, rng) {
+    const perFirst = Math.ceil(count / objects.length);
+    const stimuli = [];
+    for (const f of objects) {
+      const pool = objects.length - 1 > n - 1 ? objects.filter(o => o !== f) : objects;
+      for (let rep = 0; rep < perFirst; rep++) {
+        const rest = shuffle(pool.slice(), rng);
+        stimuli.push([f, ...rest.slice(0, n - 1)]);
+      }
+    }
+    return stimuli.slice(0, count);
+  }
+
+  /**
+   * Create the state sequences for one cell.  All 2^n combinations of
+   * 's1' and 's2' are repeated until there are enough, then shuffled and
+   * truncated to `count`.
+   * @param {number} n Set size
+   * @param {number} count Number of exemplars to create
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @returns {Array<Array>} A list of `count` state sequences
+   */
+  function makeStates(n, count, rng) {
+    const base = getStates(n);
+    const states = [];
+    while (states.length < count) {
+      states.push(...base.map(s => s.slice()));
+    }
+    return shuffle(states, rng).slice(0, count);
+  }
+
+  /**
+   * Create the afc_stim pairs for a list of stimuli.  Each pair holds the
+   * critical object and a randomly chosen object used for the foils.
+   * @param {Array<Array>} stimulusList Object lists of one cell
+   * @param {Array<string>} objects Objects available at this set size
+   * @param {Function} rng Random number generator returning [0, 1)
+   * @returns {Array<Array>} A list of [targetObj, foilObj] pairs
+   */
+  function makeAfcStim(stimulusList, objects, rng) {
+    return stimulusList.map(stim => [stim[0], shuffle(objects.slice(), rng)[0]]);
+  }
+
+  /**
+   * Precompute all stimuli and associated metadata for each set size,
+   * context and category.  This mirrors the logic in the original PsychoPy
+   * script, generalised to the set sizes, objects, categories and exemplar
+   * count of the experiment configuration.  The resulting structure is
+   * stored on the global `stimulusDict` variable for later lookup.
+   *
+   * stimulusDict has the following structure:
+   * {
+   *   size2: {
+   *     related: {
+   *       cat_1: {
+   *         category: [[cat_1, cat_1], ..., 12 entries],
+   *         stimulus: [[obj1, obj2], ..., 12 entries],
+   *         state: [[s1, s2], ..., 12 entries],
+   *         afc_cat: [[cat_1, foil], ..., 12 entries],
+   *         afc_stim: [[objA, objB], ..., 12 entries]
+   *       },
+   *       ...
+   *     },
+   *     unrelated: { ... },
+   *   },
+   *   size4: { ... },
+   *   size6: { ... }
+   * }
+   *
+   * @param {Object} cfg Validated experiment configuration
+   * @param {Function} rng Seeded random number generator returning [0, 1)
+   * @returns {Object} The stimulus dictionary described above
+   */
+  function buildStimulusDict(cfg, rng) {
+    const stimulusDict = {};
+    const categories = cfg.categories;
+    const count = cfg.exemplars_per_cell;
+    for (const n of cfg.set_sizes) {
+      stimulusDict[`size${n}`] = { related: {}, unrelated: {} };
+    }
+    for (const cat of categories) {
+      for (const n of cfg.set_sizes) {
+        const ss = `size${n}`;
+        const objects = cfg.objects[ss];
+        // Related: every item comes from the cell's category
+        if (cfg.contexts.includes('related')) {
+          const relatedStim = makeRelatedStim(objects, n, count, rng);
+          stimulusDict[ss].related[cat] = {
+            category: Array.from({ length: count }, () => Array(n).fill(cat)),
+            stimulus: relatedStim,
+            state: makeStates(n, count, rng),
+            afc_cat: makeAfcCat(Array.from({ length: count }, () => [cat]), categories, rng),
+            afc_stim: makeAfcStim(relatedStim, objects, rng)
+          };
+        }
+        // Unrelated: the critical item comes from the cell's category and
+        // each other item from a different category
+        if (cfg.contexts.includes('unrelated')) {
+          const diffCat = makeUnrelatedCat(cat, n, categories, count, rng);
+          const unrelatedStim = makeUnrelatedStim(objects, n, count, rng);
+          stimulusDict[ss].unrelated[cat] = {
+            category: diffCat,
+            stimulus: unrelatedStim,
+            state: makeStates(n, count, rng),
+            afc_cat: makeAfcCat(diffCat, categories, rng),
+            afc_stim: makeAfcStim(unrelatedStim, objects, rng)
+          };
+        }
+      }
+    }
+    return stimulusDict;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Session design
+
+  // Configuration keys that determine the trial list.  A design file can
+  // only be run with a configuration that agrees with it on all of them;
+  // of `blocks` only the count counts (see designSettings).
+  const DESIGN_KEYS = ['set_sizes', 'encoding_times', 'contexts', 'categories', 'objects',
+    'repetitions', 'exemplars_per_cell', 'catch_trials', 'blocks'];
+
+  /**
+   * The settings of a configuration that determine the trial list.  Of
+   * `blocks` only the count is kept: whether accuracy is shown at breaks
+   * does not change the design.
+   * @param {Object} cfg Configuration, or the `config` of a design file
+   * @returns {Object} Values of DESIGN_KEYS
+   */
+  function designSettings(cfg) {
+    const settings = {};
+    DESIGN_KEYS.forEach(key => { settings[key] = cfg[key]; });
+    settings.blocks = { count: (cfg.blocks || {}).count };
+    return settings;
+  }
+
+  /**
+   * Merge a parsed configuration file with the defaults.  Keys missing
+   * from the file fall back to DEFAULT_CONFIG; the sections listed in
+   * NESTED_CONFIG_KEYS are merged key by key.
+   * @param {Object} loaded Parsed configuration file
+   * @returns {Object} The merged configuration
+   */
+  function mergeConfig(loaded) {
+    const merged = Object.assign({}, DEFAULT_CONFIG, loaded);
+    NESTED_CONFIG_KEYS.forEach(key => {
+      merged[key] = Object.assign({}, DEFAULT_CONFIG[key], loaded[key]);
+    });
+    return merged;
+  }
+
+  /**
+   * Generate the design of a session: the stimulus dictionary, the
+   * shuffled condition list and the random stimulus IDs.  All three draw,
+   * in this order, from a single generator seeded with the session seed.
+   * Catch trials are drawn last and inserted at random positions, so
+   * sessions without catch trials keep the sequence of earlier versions
+   * for the same seed.
+   * @param {Object} cfg Validated experiment configuration
+   * @param {number} seed Session seed
+   * @returns {{seed: number, stimulusDict: Object, conditions: Array<Array>,
+   *   randId: Array<number>, catchTypes: Array<string|null>}}
+   */
+  function generateDesign(cfg, seed) {
+    const rng = createRng(seed);
+    const stimulusDict = buildStimulusDict(cfg, rng);
+    const conditions = [];
+    for (let rep = 0; rep < cfg.repetitions; rep++) {
+      for (const n of cfg.set_sizes) {
+        for (const et of cfg.encoding_times) {
+          for (const ctx of cfg.contexts) {
+            for (const cat of cfg.categories) {
+              conditions.push([`size${n}`, et, ctx, cat]);
+            }
+          }
+        }
+      }
+    }
+    // Shuffle condition order
+    shuffle(conditions, rng);
+    // Cycle through the exemplar IDs until every trial has one, then shuffle
+    const randId = [];
+    for (let i = 0; randId.length < conditions.length; i++) {
+      randId.push(i % cfg.exemplars_per_cell);
+    }
+    shuffle(randId, rng);
+    const design = { seed, stimulusDict, conditions, randId, catchTypes: conditions.map(() => null) };
+    insertCatchTrials(cfg, design, rng);
+    return design;
+  }
+
+  /**
+   * Insert `catch_trials.proportion` x the number of design trials catch
+   * trials at random positions of the condition list, cycling through the
+   * configured catch types.  A catch trial shows the smallest set size of
+   * one random category in a related display for the long
+   * `catch_trials.encoding_time`, so its 4AFC foil is always from another
+   * category.  'easy' catch trials are passed by choosing the studied
+   * object; 'instructed' ones ask for a given item on the 4AFC screen.
+   * @param {Object} cfg Validated experiment configuration
+   * @param {Object} design Design returned by generateDesign, changed in place
+   * @param {Function} rng Random number generator of the design
+   */
+  function insertCatchTrials(cfg, design, rng) {
+    const settings = cfg.catch_trials;
+    const nCatch = Math.round(settings.proportion * design.conditions.length);
+    const ss = `size${Math.min(...cfg.set_sizes)}`;
+    const ctx = cfg.contexts.includes('related') ? 'related' : cfg.contexts[0];
+    for (let k = 0; k < nCatch; k++) {
+      const cat = cfg.categories[Math.floor(rng() * cfg.categories.length)];
+      const id = Math.floor(rng() * cfg.exemplars_per_cell);
+      const at = Math.floor(rng() * (design.conditions.length + 1));
+      design.conditions.splice(at, 0, [ss, settings.encoding_time, ctx, cat]);
+      design.randId.splice(at, 0, id);
+      design.catchTypes.splice(at, 0, settings.types[k % settings.types.length]);
+    }
+  }
+
+  /**
+   * Draw the random layout of one trial: the screen position of every
+   * memory array item, the order of the four 4AFC items (keeping each
+   * pair together) and, for instructed catch trials, the slot whose item
+   * the participant is asked to choose.
+   * @param {number} nStim Number of items in the memory array
+   * @param {Function} rng Random number generator of this trial
+   * @param {string|null} catchType Catch trial type, null for design trials
+   * @returns {{stimulus_loc: Array<number>, afc_loc: Array<string>,
+   *   catch_slot: number|null}}
+   */
+  function drawTrialLayout(nStim, rng, catchType) {
+    const stimulusLoc = shuffle([...Array(nStim).keys()], rng);
+    const matchPair = shuffle(['match_target', 'match_obj'], rng);
+    const foilPair = shuffle(['foil_1', 'foil_2'], rng);
+    const afcLoc = shuffle([matchPair, foilPair], rng).flat();
+    const catchSlot = catchType === 'instructed' ? Math.floor(rng() * afcLoc.length) : null;
+    return { stimulus_loc: stimulusLoc, afc_loc: afcLoc, catch_slot: catchSlot };
+  }
+
+  /**
+   * List every trial of a design with its block, its stimuli and the
+   * layout drawn from its own stream of the session seed, exactly as the
+   * experiment presents them.
+   * @param {Object} cfg Validated experiment configuration
+   * @param {Object} design Design returned by generateDesign
+   * @returns {Array<Object>} One entry per trial
+   */
+  function trialList(cfg, design) {
+    const blockSize = Math.ceil(design.conditions.length / cfg.blocks.count);
+    return design.conditions.map((condition, i) => {
+      const [ss, et, ctx, cat] = condition;
+      const id = design.randId[i];
+      const cell = design.stimulusDict[ss][ctx][cat];
+      const catchType = design.catchTypes[i];
+      const layout = drawTrialLayout(cell.stimulus[id].length, createRng(deriveSeed(design.seed, i)), catchType);
+      return Object.assign({
+        trial: i,
+        block: Math.floor(i / blockSize),
+        condition: condition.slice(),
+        set_size: ss,
+        encoding_time: et,
+        context: ctx,
+        category: cat,
+        id,
+        catch_type: catchType,
+        stimuli_category: cell.category[id].slice(),
+        obj: cell.stimulus[id].slice(),
+        state: cell.state[id].slice(),
+        afc_cat: cell.afc_cat[id].slice(),
+        afc_stim: cell.afc_stim[id].slice()
+      }, layout);
+    });
+  }
+
+  /**
+   * Describe a session as a design file: the seed, the configuration keys
+   * that shaped it, the stimulus dictionary and the full trial list.  The
+   * experiment can run such a file instead of generating its design.
+   * @param {Object} cfg Validated experiment configuration
+   * @param {number} seed Session seed
+   * @returns {Object} Design file contents
+   */
+  function createDesignFile(cfg, seed) {
+    const design = generateDesign(cfg, seed);
+    return {
+      seed,
+      config: designSettings(cfg),
+      stimulus_dict: design.stimulusDict,
+      trials: trialList(cfg, design)
+    };
+  }
+
+  /**
+   * Check that a design file can be run with a configuration: it must have
+   * been generated with the same design settings and every trial must
+   * refer to an exemplar of its stimulus dictionary.
+   * @param {Object} cfg Validated experiment configuration
+   * @param {Object} file Parsed design file
+   * @returns {Array<string>} Human-readable problems; empty when valid
+   */
+  function validateDesignFile(cfg, file) {
+    const errors = [];
+    if (!file || parseSeed(file.seed) === null || !file.config || !file.stimulus_dict ||
+        !Array.isArray(file.trials) || !file.trials.length) {
+      return ['The file is not a design file written by tools/generate_trials.js.'];
+    }
+    const fileSettings = designSettings(file.config);
+    const settings = designSettings(cfg);
+    DESIGN_KEYS.forEach(key => {
+      if (JSON.stringify(fileSettings[key]) !== JSON.stringify(settings[key])) {
+        errors.push(`${key === 'blocks' ? 'blocks.count' : key} differs from the experiment configuration.`);
+      }
+    });
+    if (errors.length) return errors;
+    file.trials.forEach((trial, i) => {
+      const [ss, , ctx, cat] = trial.condition || [];
+      const cell = ((file.stimulus_dict[ss] || {})[ctx] || {})[cat];
+      if (trial.trial !== i || !cell || !cell.stimulus[trial.id]) {
+        errors.push(`Trial ${i} does not match a stimulus of the design.`);
+      } else if (!Array.isArray(trial.stimulus_loc) || trial.stimulus_loc.length !== cell.stimulus[trial.id].length ||
+          !Array.isArray(trial.afc_loc) || trial.afc_loc.length !== 4) {
+        errors.push(`Trial ${i} has an incomplete layout.`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Read the design of a session back from a design file.  The result has
+   * the shape returned by generateDesign plus the layout of every trial.
+   * @param {Object} file Design file checked with validateDesignFile
+   * @returns {Object} { seed, stimulusDict, conditions, randId, catchTypes,
+   *   layouts }
+   */
+  function readDesignFile(file) {
+    return {
+      seed: file.seed,
+      stimulusDict: file.stimulus_dict,
+      conditions: file.trials.map(trial => trial.condition),
+      randId: file.trials.map(trial => trial.id),
+      catchTypes: file.trials.map(trial => trial.catch_type || null),
+      layouts: file.trials.map(trial => ({
+        stimulus_loc: trial.stimulus_loc,
+        afc_loc: trial.afc_loc,
+        catch_slot: trial.catch_slot === undefined ? null : trial.catch_slot
+      }))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tabular output
+  // Shared by the trial-level export of the experiment and the tools.
+
+  /**
+   * Identify the category, object and state of one 4AFC item.
+   * @param {string} type match_target, match_obj, foil_1 or foil_2
+   * @param {Array<string>} afcCat [targetCat, foilCat]
+   * @param {Array<string>} afcStim [targetObj, foilObj]
+   * @param {string} targetState State of the critical item in the memory array
+   * @returns {{category: string, object: string, state: string}}
+   */
+  function afcItem(type, afcCat, afcStim, targetState) {
+    const otherState = targetState === 's1' ? 's2' : 's1';
+    switch (type) {
+      case 'match_target': return { category: afcCat[0], object: afcStim[0], state: targetState };
+      case 'match_obj': return { category: afcCat[0], object: afcStim[0], state: otherState };
+      case 'foil_1': return { category: afcCat[1], object: afcStim[1], state: 's1' };
+      default: return { category: afcCat[1], object: afcStim[1], state: 's2' };
+    }
+  }
+
+  /**
+   * Format rows as delimited text.  Missing values are written as `empty`;
+   * values containing the delimiter, quotes or line breaks are quoted.
+   * @param {Array<Object>} rows Rows with identical keys
+   * @param {string} delimiter Field separator (',' or '\t')
+   * @param {string} [empty=''] Text written for null or undefined values
+   * @returns {string} The table including a header line
+   */
+  function toDelimited(rows, delimiter, empty = '') {
+    if (!rows.length) return '';
+    const columns = Object.keys(rows[0]);
+    const format = value => {
+      if (value === null || value === undefined) return empty;
+      const text = String(value);
+      return /["\n\r]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.join(delimiter)];
+    rows.forEach(row => lines.push(columns.map(c => format(row[c])).join(delimiter)));
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    NESTED_CONFIG_KEYS,
+    EXPORT_FORMATS,
+    CONTEXTS,
+    CATCH_TYPES,
+    RENDERERS,
+    BACKEND_ADAPTERS,
+    MAX_RELATED_ORDERINGS,
+    DESIGN_KEYS,
+    designSettings,
+    createRng,
+    deriveSeed,
+    parseSeed,
+    generateSeed,
+    shuffle,
+    permutations,
+    countOrderings,
+    combinations,
+    getStates,
+    makeCombos,
+    makeAfcCat,
+    makeUnrelatedCat,
+    makeRelatedStim,
+    makeUnrelatedStim,
+    makeStates,
+    makeAfcStim,
+    buildStimulusDict,
+    mergeConfig,
+    validateConfig,
+    generateDesign,
+    insertCatchTrials,
+    drawTrialLayout,
+    trialList,
+    createDesignFile,
+    validateDesignFile,
+    readDesignFile,
+    afcItem,
+    toDelimited
+  };
+});
@@ -8,10 +8,10 @@
  * following phases:
  *   1) Collect participant information via a simple form.
  *   2) Present instructions across three screens, advancing on Enter.
- *   3) For each of the 360 trials, display a fixation cross, a set of
- *      coloured object stimuli at variable positions for a specified encoding
- *      duration, a second fixation, and finally a four-alternative forced
- *      choice (4AFC) response screen.
+ *   3) For each of the 360 trials (in the default configuration), display
+ *      a fixation cross, a set of coloured object stimuli at variable
+ *      positions for a specified encoding duration, a second fixation, and
+ *      finally a four-alternative forced choice (4AFC) response screen.
  *   4) Record responses, reaction times, and accuracy.
  *   5) Save the resulting data as a downloadable JSON file and thank the
  *      participant.
@@ -20,588 +20,461 @@
  * experiment directory containing subfolders named `size2`, `size4` and
  * `size6`.  Within each size folder create subfolders for each category
  * (e.g. `cat_1`, `cat_2`, ..., `cat_10`) and place your image files there
- * using the naming convention `objX_sY.jpg` (e.g. `obj1_s1.jpg`).  Two
+ * using the naming convention `objX_sY.jpg` (e.g. `obj1_s1.jpg`), then run
+ * `node tools/build_manifest.js` to record the real filename of every image
+ * in `stimuli_folder/manifest.json`; the task resolves all stimulus paths
+ * through that manifest and refuses to start if files are missing.  Two
  * instruction images named `instr1.png` and `instr2.png` should also be
  * placed in the experiment directory.
+ *
+ * Set sizes, encoding times, contexts, categories, objects, repetitions,
+ * exemplar counts and fixation durations are read from `config.json` (or
+ * the file named by a `?config=` URL parameter).  Keys left out of the
+ * file fall back to DEFAULT_CONFIG in design.js, which also holds the
+ * seeded randomisation and the generation of the trial list and must be
+ * loaded before this file.  Instead of generating the trial list, the task
+ * can run one written ahead of time by `node tools/generate_trials.js`,
+ * named by `design_file` in the configuration or a `?design=` URL
+ * parameter.  analysis.js, also loaded before this file, computes the
+ * experimenter summary offered on the end screen (see summary_report), and
+ * backends.js connects the session to JATOS, Pavlovia, OSF and Prolific
+ * for online studies (see backend and url_params).
  */
 
 (() => {
+  const {
+    CATCH_TYPES,
+    createRng,
+    deriveSeed,
+    parseSeed,
+    generateSeed,
+    shuffle,
+    buildStimulusDict,
+    mergeConfig,
+    validateConfig,
+    generateDesign,
+    drawTrialLayout,
+    validateDesignFile,
+    readDesignFile,
+    afcItem,
+    toDelimited
+  } = window.SemanticVwmDesign;
+  const { summariseSession, summaryHtml, summaryReport } = window.SemanticVwmAnalysis;
+  const { createAdapters, readUrlIds } = window.SemanticVwmBackends;
   // Cache object used by the image preloader.  Each key is an image
   // path and the corresponding value is a loaded Image object.  By
   // storing references here, the browser keeps the resources in
   // memory, avoiding additional network requests during the task.
   const IMAGE_CACHE = {};
-  // Helper functions for randomisation and combinatorial logic
+  // ---------------------------------------------------------------------------
+  // Preloading utilities
+
   /**
-   * Shuffle an array in place using the Fisher–Yates algorithm.
-   * @param {Array} array The array to shuffle
-   * @returns {Array} The shuffled array
+   * List the manifest key of every stimulus the configuration can show,
+   * across all set sizes, categories (including practice categories),
+   * objects and states.
+   * @param {Object} cfg Validated experiment configuration
+   * @returns {Array<string>} Keys of the form `size4/cat_5/obj1_s1`
    */
-  function shuffle(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
+  function requiredStimulusKeys(cfg) {
+    const keys = [];
+    const states = ['s1', 's2'];
+    const categories = cfg.practice.enabled ? cfg.categories.concat(cfg.practice.categories) : cfg.categories;
+    cfg.set_sizes.forEach(n => {
+      const ss = `size${n}`;
+      categories.forEach(cat => {
+        cfg.objects[ss].forEach(obj => {
+          states.forEach(st => keys.push(stimulusKey(ss, cat, obj, st)));
+        });
+      });
+    });
+    return keys;
   }
 
+  // Instruction screen images, loaded before the instructions are shown
+  const INSTRUCTION_IMAGES = ['instr1.png', 'instr2.png'];
+  // Loads in progress by path, so that an image requested by the
+  // background prefetch and by a trial is only fetched once
+  const IMAGE_LOADS = {};
+
   /**
-   * Generate all permutations of length k from the elements of arr.
-   * @param {Array} arr Source array
-   * @param {number} k Length of each permutation
-   * @returns {Array<Array>} List of permutations
+   * Load one image into IMAGE_CACHE.  Images that have neither loaded nor
+   * failed after `config.image_timeout_ms` count as failed, so a stalled
+   * connection cannot hold up the preloader indefinitely.  A failed image
+   * is requested again the next time it is asked for.
+   * @param {string} path Image path
+   * @returns {Promise<boolean>} Whether the image is in the cache
    */
-  function permutations(arr, k) {
-    const results = [];
-    function helper(current, remaining) {
-      if (current.length === k) {
-        results.push(current.slice());
-        return;
-      }
-      for (let i = 0; i < remaining.length; i++) {
-        const next = remaining[i];
-        const rest = remaining.slice(0, i).concat(remaining.slice(i + 1));
-        helper(current.concat(next), rest);
-      }
+  function loadImage(path) {
+    if (IMAGE_CACHE[path]) return Promise.resolve(true);
+    if (!IMAGE_LOADS[path]) {
+      IMAGE_LOADS[path] = new Promise(resolve => {
+        const img = new Image();
+        const settle = success => {
+          clearTimeout(timer);
+          img.onload = null;
+          img.onerror = null;
+          if (success) {
+            IMAGE_CACHE[path] = img;
+          } else {
+            console.warn('Failed to preload image:', path);
+          }
+          delete IMAGE_LOADS[path];
+          resolve(success);
+        };
+        const timer = setTimeout(() => settle(false), config.image_timeout_ms);
+        img.onload = () => settle(true);
+        img.onerror = () => settle(false);
+        img.src = path;
+      });
     }
-    helper([], arr);
-    return results;
+    return IMAGE_LOADS[path];
   }
 
   /**
-   * Generate all k-combinations of the elements of arr.
-   * @param {Array} arr Source array
-   * @param {number} k Number of elements per combination
-   * @returns {Array<Array>} List of combinations
+   * Preload a list of images, at most `config.preload_concurrency` at a
+   * time.  Successfully loaded images are stored on the IMAGE_CACHE object
+   * for later reuse.
+   *
+   * An optional callback can be supplied to monitor progress.  It is
+   * invoked with (loadedCount, totalCount, path, success) each time an
+   * image finishes loading (or fails).  This can be used to update a
+   * progress indicator on screen if desired.
+   *
+   * @param {Function} updateProgressCallback Optional progress callback
+   * @param {Array<string>} paths Images to load
+   * @returns {Promise<{failed: Array<string>}>} Resolves when all images are attempted
    */
-  function combinations(arr, k) {
-    const results = [];
-    function combine(start, combo) {
-      if (combo.length === k) {
-        results.push(combo.slice());
-        return;
-      }
-      for (let i = start; i < arr.length; i++) {
-        combo.push(arr[i]);
-        combine(i + 1, combo);
-        combo.pop();
+  async function preloadImages(updateProgressCallback, paths) {
+    const total = paths.length;
+    let loadedCount = 0;
+    const failed = [];
+    await mapLimit(paths, config.preload_concurrency, async path => {
+      const success = await loadImage(path);
+      if (!success) failed.push(path);
+      loadedCount++;
+      if (updateProgressCallback) {
+        updateProgressCallback(loadedCount, total, path, success);
       }
-    }
-    combine(0, []);
-    return results;
+    });
+    return { failed };
   }
 
   /**
-   * Generate all combinations of 's1' and 's2' repeated n times.
-   * Equivalent to computing a Cartesian product of length n.
-   * @param {number} n Number of elements in each state sequence
-   * @returns {Array<Array>} List of state combinations
+   * Create the element that shows an image in a display.  It is a clone of
+   * the cached, already decoded Image, so showing it does not wait for the
+   * network or the decoder.  If the image is not in the cache, its path is
+   * added to `missing` and an empty placeholder is returned instead of an
+   * element that would show a broken image.
+   * @param {string} path Image path
+   * @param {string} className Class of the element
+   * @param {Array<string>} missing Paths of missing images, appended to
+   * @returns {HTMLElement} Image or placeholder element
    */
-  function getStates(n) {
-    const results = [];
-    function helper(prefix, depth) {
-      if (depth === n) {
-        results.push(prefix.slice());
-        return;
-      }
-      ['s1', 's2'].forEach(s => {
-        prefix.push(s);
-        helper(prefix, depth + 1);
-        prefix.pop();
-      });
+  function cachedImage(path, className, missing) {
+    const cached = IMAGE_CACHE[path];
+    if (!cached) {
+      console.error('Image missing from the cache:', path);
+      missing.push(path);
+      const placeholder = document.createElement('div');
+      placeholder.className = `${className} missing-image`;
+      return placeholder;
     }
-    helper([], 0);
-    return results;
+    const img = cached.cloneNode(false);
+    img.className = className;
+    img.alt = '';
+    return img;
   }
 
   /**
-   * Create combos for unrelated conditions.  Given a fixed category and
-   * the number of additional categories to select, returns 12 randomly
-   * selected combinations, each beginning with the fixed category.
-   * @param {string} fixedCat The fixed category
-   * @param {number} nCombo Number of other categories to choose
-   * @returns {Array<Array>} A list of category combinations
+   * Make sure the images of a trial are loaded and decoded, so that
+   * decoding cannot delay the onset of the memory array or 4AFC display.
+   * Images the prefetch missed are loaded now.
+   * @param {Array<string>} paths Images shown in the trial
+   * @returns {Promise<void>} Resolves once every image is ready or failed
    */
-  function makeCombos(fixedCat, nCombo, categories) {
-    const others = categories.filter(c => c !== fixedCat);
-    const allCombos = combinations(others, nCombo);
-    shuffle(allCombos);
-    const selected = allCombos.slice(0, 12);
-    return selected.map(c => [fixedCat, ...c]);
+  async function prepareImages(paths) {
+    await Promise.all(paths.map(async path => {
+      if (!(await loadImage(path))) return;
+      try {
+        await IMAGE_CACHE[path].decode();
+      } catch (err) {
+        console.warn('Could not decode image:', path, err);
+      }
+    }));
   }
 
   /**
-   * Generate foil categories for the two-alternative 4AFC task.  For each
-   * selection of categories, choose one foil category that is not present
-   * in the selection and return a pair [targetCat, foilCat].
-   * @param {Array<Array>} selectedCat List of category selections
-   * @param {Array<string>} categories Master list of all categories
-   * @returns {Array<Array>} A list of [targetCat, foilCat] pairs
+   * Drop stimulus images that are no longer needed from IMAGE_CACHE so
+   * that a session does not hold every image it has shown in memory.
+   * @param {Array<string>} keep Stimulus paths to keep
    */
-  function makeAfcCat(selectedCat, categories) {
-    const afcCat = [];
-    for (const c of selectedCat) {
-      const exclude = new Set(c);
-      const others = categories.filter(x => !exclude.has(x));
-      const foilCat = others[Math.floor(Math.random() * others.length)];
-      afcCat.push([c[0], foilCat]);
-    }
-    return afcCat;
+  function releaseImages(keep) {
+    const keepSet = new Set(keep);
+    Object.keys(IMAGE_CACHE).forEach(path => {
+      if (path.startsWith('stimuli_folder/') && !keepSet.has(path)) delete IMAGE_CACHE[path];
+    });
   }
 
   /**
-   * Precompute all stimuli and associated metadata for each set size,
-   * context and category.  This mirrors the logic in the original PsychoPy
-   * script.  The resulting structure is stored on the global `stimulusDict`
-   * variable for later lookup.
-   *
-   * stimulusDict has the following structure:
-   * {
-   *   size2: {
-   *     related: {
-   *       cat_1: {
-   *         category: [[cat_1, cat_1], ..., 12 entries],
-   *         stimulus: [[obj1, obj2], ..., 12 entries],
-   *         state: [[s1, s2], ..., 12 entries],
-   *         afc_cat: [[cat_1, foil], ..., 12 entries],
-   *         afc_stim: [[objA, objB], ..., 12 entries]
-   *       },
-   *       ...
-   *     },
-   *     unrelated: { ... },
-   *   },
-   *   size4: { ... },
-   *   size6: { ... }
-   * }
-   */
-  function buildStimulusDict() {
-    const stimulusDict = {};
-    // General parameters
-    const categories = Array.from({ length: 10 }, (_, i) => `cat_${i + 1}`);
-    // Define objects for each set size
-    const obj2 = ['obj1', 'obj2', 'obj3', 'obj4'];
-    const obj4 = ['obj1', 'obj2', 'obj3', 'obj4'];
-    const obj6 = ['obj1', 'obj2', 'obj3', 'obj4', 'obj5', 'obj6'];
-    // State sequences
-    const ss2Base = getStates(2); // Four possible combinations
-    const ss2State = [];
-    // Repeat base states three times to get 12 items
-    for (let i = 0; i < 3; i++) {
-      ss2State.push(...ss2Base.map(s => s.slice()));
-    }
+   * Create a download link for the given text and display it in the
+   * experiment container.  When clicked, the file will be saved to the
+   * user's machine.
+   * @param {string} content File contents
+   * @param {string} filename Name of the file to download
+   * @param {string} type MIME type of the file
+   * @param {string} label Text of the link
+   * @param {HTMLElement} [parent] Element to add the link to; defaults to
+   *   the experiment container
+   */
+  function createFileLink(content, filename, type, label, parent = document.getElementById('experiment')) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.textContent = label;
+    link.style.display = 'block';
+    link.style.marginTop = '20px';
+    parent.appendChild(link);
+  }
 
   /**
-   * Build a flat list of all image paths used in the experiment.  This
-   * includes every possible stimulus image (across all set sizes,
-   * categories, objects and states) as well as the instruction images.
-   * These paths are used by the image preloader so that every image can
-   * be fetched and cached before the experiment starts.  Having images
-   * loaded up front avoids missing or delayed stimuli when trials run.
-   *
-   * @returns {Array<string>} List of relative image paths
-   */
-  function buildAllImagePaths() {
-    const paths = [];
-    // Define set sizes and corresponding objects; this mirrors the
-    // structure used when computing the stimulus dictionary.  Note that
-    // size4 uses the same objects as size2 in this particular task.
-    const setSizes = ['size2', 'size4', 'size6'];
-    const objectsBySet = {
-      size2: ['obj1', 'obj2', 'obj3', 'obj4'],
-      size4: ['obj1', 'obj2', 'obj3', 'obj4'],
-      size6: ['obj1', 'obj2', 'obj3', 'obj4', 'obj5', 'obj6']
-    };
-    const states = ['s1', 's2'];
-    // Use the global categoriesList defined below.  This ensures that
-    // modifications to the category list propagate to the preloader.
-    setSizes.forEach(ss => {
-      const objs = objectsBySet[ss];
-      categoriesList.forEach(cat => {
-        objs.forEach(obj => {
-          states.forEach(st => {
-            const relPath = `stimuli_folder/${ss}/${cat}/${obj}_${st}.jpg`;
-            paths.push(relPath);
-          });
-        });
-      });
-    });
-    // Also include the instruction images which are referenced in the
-    // instruction screens.  These files should live alongside index.html.
-    paths.push('instr1.png');
-    paths.push('instr2.png');
-    return paths;
+   * Create a download link for the given data as a JSON file.
+   * @param {Object} data The data object to convert to JSON
+   * @param {string} filename Name of the file to download
+   * @param {string} [label='Download results'] Text of the link
+   */
+  function createDownloadLink(data, filename, label = 'Download results') {
+    createFileLink(JSON.stringify(data, null, 2), filename, 'application/json', label);
   }
 
+  // ---------------------------------------------------------------------------
+  // Trial-level export
+  // `p.task` is column-oriented and holds nested arrays.  The functions below
+  // flatten it into one row per trial for R or pandas, and optionally into a
+  // BIDS-style events.tsv with a JSON sidecar describing every column.
+
+  // Screen quadrants of the 4AFC items, in the order of computeAfcPositions
+  const AFC_QUADRANTS = ['top_left', 'bottom_left', 'top_right', 'bottom_right'];
+
+  // Displays of a trial whose onsets and offsets are logged
+  const TIMED_PHASES = ['fixation', 'memory', 'delay', 'afc'];
+  const PHASE_NAMES = {
+    fixation: 'fixation cross',
+    memory: 'memory array',
+    delay: 'delay fixation',
+    afc: '4AFC display'
+  };
+
+  // Descriptions of the fixed trial columns, used for the BIDS sidecar
+  const COLUMN_DESCRIPTIONS = {
+    onset: { Description: 'Fixation onset of the trial relative to the fixation onset of the first trial', Units: 's' },
+    duration: { Description: 'Time from fixation onset to the response', Units: 's' },
+    trial_type: { Description: 'Condition label: set size, context and encoding time, or catch_easy / catch_instructed for attention checks' },
+    participant: { Description: 'Participant number entered in the demographic form' },
+    trial: { Description: 'Index of the trial in the session (0-based)' },
+    set_size: { Description: 'Number of items in the memory array' },
+    encoding_time: { Description: 'Duration of the memory array', Units: 's' },
+    context: { Description: 'related: all items from one category; unrelated: items from different categories' },
+    category: { Description: 'Category of the critical (tested) item' },
+    id: { Description: 'Index of the exemplar of this set size x context x category cell' },
+    block: { Description: 'Index of the block the trial belongs to (0-based)' },
+    break_duration: { Description: 'Duration of the rest break before the block; n/a for the first block', Units: 's' },
+    attempt: { Description: 'Presentation of the trial: 1, or 2 when it is repeated at the end of its block after a timeout or after fullscreen was left' },
+    response: { Description: 'Type of the chosen 4AFC item: match_target, match_obj, foil_1 or foil_2; timeout if no response was given in time' },
+    response_key: { Description: 'Response key as labelled on screen (matched by physical position, US layout); n/a for mouse or touch responses and after a timeout' },
+    response_modality: { Description: 'Input used to respond', Levels: { keyboard: 'key press', mouse: 'mouse click', touch: 'tap on a touchscreen', pen: 'stylus' } },
+    response_x: { Description: 'Horizontal position of the click or tap in the window; n/a for key presses', Units: 'px' },
+    response_y: { Description: 'Vertical position of the click or tap in the window; n/a for key presses', Units: 'px' },
+    response_quadrant: { Description: `Quadrant of the chosen 4AFC item: ${AFC_QUADRANTS.join(', ')}` },
+    rt: { Description: 'Response time from the frame showing the 4AFC display to the key press; n/a after a timeout', Units: 's' },
+    correct_ans: { Description: 'Whether the studied item in its studied state was chosen', Levels: { 0: 'incorrect', 1: 'correct' } },
+    correct_cat: { Description: 'Whether an item of the critical object was chosen, in either state', Levels: { 0: 'incorrect', 1: 'correct' } },
+    trial_start: { Description: 'Wall-clock time of fixation onset', Units: 'ms since 1970-01-01 UTC' },
+    trial_end: { Description: 'Wall-clock time of the response', Units: 'ms since 1970-01-01 UTC' },
+    renderer: { Description: 'How the displays were drawn', Levels: { dom: 'positioned image elements', canvas: 'single canvas' } },
+    image_error: { Description: 'Whether an image of the trial could not be loaded and was replaced by a blank placeholder', Levels: { 0: 'all images shown', 1: 'image missing' } },
+    missing_images: { Description: 'Semicolon-separated paths of the images that could not be shown' },
+    page_hidden: { Description: 'Whether the page was hidden (other tab, minimised window) while the memory array or the delay was shown', Levels: { 0: 'visible', 1: 'hidden' } },
+    focus_lost: { Description: 'Whether the page lost focus to another window while the memory array or the delay was shown', Levels: { 0: 'focused', 1: 'focus lost' } },
+    fullscreen_exit: { Description: 'Whether fullscreen was left while the memory array or the delay was shown; such trials are run once more at the end of their block; n/a when fullscreen is not required', Levels: { 0: 'stayed in fullscreen', 1: 'fullscreen left' } },
+    catch_type: { Description: 'Attention check type; n/a for trials of the design', Levels: { easy: 'long encoding time, smallest set size', instructed: 'the 4AFC screen asked for the framed item' } },
+    catch_key: { Description: 'Key of the item an instructed catch trial asked for, which could also be clicked or tapped; n/a otherwise' },
+    catch_passed: { Description: 'Whether the catch trial was passed (easy: studied object chosen; instructed: requested item chosen); n/a for trials of the design', Levels: { 0: 'failed', 1: 'passed' } }
+  };
+
   /**
-   * Preload all experiment images before the task begins.  Given a list
-   * of image paths, this function creates Image objects, assigns each
-   * path to the src attribute, and resolves a promise when all images
-   * have either loaded or failed.  Successfully loaded images are
-   * stored on the IMAGE_CACHE object for potential later reuse.
-   *
-   * An optional callback can be supplied to monitor progress.  It is
-   * invoked with (loadedCount, totalCount, path, success) each time an
-   * image finishes loading (or fails).  This can be used to update a
-   * progress indicator on screen if desired.
-   *
-   * @param {Function} updateProgressCallback Optional progress callback
-   * @returns {Promise<{failed: Array<string>}>} Resolves when all images are attempted
+   * Flatten the collected data into one row per trial.  Item columns are
+   * numbered in the order of the memory array (item1 is the critical item)
+   * and padded with nulls up to the largest set size; 4AFC columns are
+   * named after the screen quadrant the item appeared in.
+   * @param {Object} data The `p` data object
+   * @returns {Array<Object>} Rows with identical, ordered keys
    */
-  function preloadImages(updateProgressCallback) {
-    const paths = buildAllImagePaths();
-    const total = paths.length;
-    let loadedCount = 0;
-    const failed = [];
-    return new Promise(resolve => {
-      paths.forEach(path => {
-        const img = new Image();
-        img.onload = () => {
-          // Cache the image using the relative path as key
-          IMAGE_CACHE[path] = img;
-          loadedCount++;
-          if (updateProgressCallback) {
-            updateProgressCallback(loadedCount, total, path, true);
-          }
-          if (loadedCount === total) {
-            resolve({ failed });
-          }
-        };
-        img.onerror = () => {
-          console.warn('Failed to preload image:', path);
-          failed.push(path);
-          loadedCount++;
-          if (updateProgressCallback) {
-            updateProgressCallback(loadedCount, total, path, false);
-          }
-          if (loadedCount === total) {
-            resolve({ failed });
-          }
-        };
-        img.src = path;
+  function trialRows(data) {
+    const task = data.task;
+    const maxItems = Math.max(...data.config.set_sizes);
+    // Quadrant of every 4AFC slot; files written before counterbalancing
+    // always used the column layout
+    const slots = data.counterbalancing ? data.counterbalancing.slot_quadrants : AFC_LAYOUTS.columns;
+    return task.trial.map((trial, t) => {
+      const row = {
+        participant: data.participant.number,
+        trial,
+        set_size: parseInt(task.set_size[t].slice(4), 10),
+        encoding_time: task.encoding_time[t],
+        context: task.context[t],
+        category: task.category[t],
+        id: task.id[t],
+        block: task.block[t],
+        break_duration: task.break_duration[t],
+        attempt: task.attempt[t]
+      };
+      for (let k = 0; k < maxItems; k++) {
+        const present = k < task.obj[t].length;
+        row[`item${k + 1}_category`] = present ? task.stimuli_category[t][k] : null;
+        row[`item${k + 1}_object`] = present ? task.obj[t][k] : null;
+        row[`item${k + 1}_state`] = present ? task.state[t][k] : null;
+        row[`item${k + 1}_position`] = present ? task.stimulus_loc[t][k] : null;
+      }
+      AFC_QUADRANTS.forEach(quadrant => {
+        const type = task.afc_loc[t][slots.indexOf(quadrant)];
+        const item = afcItem(type, task.afc_cat[t], task.afc_stim[t], task.state[t][0]);
+        row[`afc_${quadrant}_type`] = type;
+        row[`afc_${quadrant}_category`] = item.category;
+        row[`afc_${quadrant}_object`] = item.object;
+        row[`afc_${quadrant}_state`] = item.state;
       });
+      row.response = task.response[t];
+      row.response_key = task.response_key[t];
+      row.response_modality = task.response_modality[t];
+      row.response_x = task.response_x[t];
+      row.response_y = task.response_y[t];
+      row.response_quadrant = slots[task.afc_loc[t].indexOf(task.response[t])];
+      row.rt = task.rt[t];
+      row.correct_ans = task.correct_ans[t];
+      row.correct_cat = task.correct_cat[t];
+      row.trial_start = task.trial_start[t];
+      row.trial_end = task.trial_end[t];
+      row.renderer = task.renderer[t];
+      row.image_error = task.image_error[t];
+      row.missing_images = task.missing_images[t].join(';');
+      row.page_hidden = task.page_hidden[t];
+      row.focus_lost = task.focus_lost[t];
+      row.fullscreen_exit = task.fullscreen_exit[t];
+      row.catch_type = task.catch_type[t];
+      row.catch_key = task.catch_key[t];
+      row.catch_passed = task.catch_passed[t];
+      const timing = task.timing[t] || {};
+      TIMED_PHASES.forEach(phase => {
+        if (phase !== 'afc') {
+          row[`${phase}_frames`] = timing[`${phase}_frames`];
+          row[`${phase}_duration_ms`] = timing[`${phase}_offset`] - timing[`${phase}_onset`];
+        }
+        row[`${phase}_onset`] = timing[`${phase}_onset`];
+        row[`${phase}_offset`] = timing[`${phase}_offset`];
+      });
+      return row;
     });
   }
-    const ss4State = getStates(4);
-    const ss6State = getStates(6);
-    // Precompute permutations for related size2 (4P2 = 12)
-    const perm2 = permutations(obj2, 2);
-    // Precompute for size4 related (4 objects repeated 3 times)
-    const stim4Related = [];
-    for (const f of obj4) {
-      const rest = obj4.filter(o => o !== f);
-      for (let rep = 0; rep < 3; rep++) {
-        const restShuf = shuffle(rest.slice());
-        stim4Related.push([f, ...restShuf]);
-      }
-    }
-    // Precompute for size6 related (6 objects repeated twice)
-    const stim6Related = [];
-    for (const f of obj6) {
-      const rest = obj6.filter(o => o !== f);
-      for (let rep = 0; rep < 2; rep++) {
-        const restShuf = shuffle(rest.slice());
-        stim6Related.push([f, ...restShuf]);
-      }
+
+  /**
+   * Describe a flattened column for the BIDS sidecar.
+   * @param {string} column Column name produced by trialRows or bidsRows
+   * @returns {Object} BIDS column description
+   */
+  function describeColumn(column) {
+    if (COLUMN_DESCRIPTIONS[column]) return COLUMN_DESCRIPTIONS[column];
+    let match = /^item(\d+)_(category|object|state|position)$/.exec(column);
+    if (match) {
+      const what = match[2] === 'position' ? 'Index of the screen position' : `The ${match[2]}`;
+      return { Description: `${what} of memory array item ${match[1]} (item1 is the critical item); n/a above the set size` };
     }
-    // Build structures for each set size
-    // Helper to create afc_stim for any list of stimuli
-    function createAfcStim(stimulusList, objects) {
-      const afcStim = [];
-      for (const stim of stimulusList) {
-        // stim is an array of objects where the first element is the critical object
-        const f = stim[0];
-        // Create a full copy of objects and select a random entry as the foil
-        const rest = shuffle(objects.slice());
-        // Append both the original and random object for later use
-        afcStim.push([f, rest[0]]);
-      }
-      return afcStim;
+    match = /^(\w+?)_(frames|duration_ms|onset|offset)$/.exec(column);
+    if (match && PHASE_NAMES[match[1]]) {
+      const name = PHASE_NAMES[match[1]];
+      if (match[2] === 'frames') return { Description: `Intended duration of the ${name} in frames` };
+      if (match[2] === 'duration_ms') return { Description: `Measured duration of the ${name}`, Units: 'ms' };
+      return { Description: `Frame timestamp of the ${name} ${match[2]} on the page's performance.now clock`, Units: 'ms' };
     }
-    // Build dictionary for each set size
-    ['size2', 'size4', 'size6'].forEach(ss => {
-      stimulusDict[ss] = { related: {}, unrelated: {} };
-    });
-    // Iterate over categories and fill out dictionaries
-    for (const cat of categories) {
-      // ----- size 2 -----
-      {
-        // Related
-        const relatedCat = [];
-        for (let i = 0; i < 12; i++) relatedCat.push([cat, cat]);
-        const relatedStim = perm2.map(pair => pair.slice());
-        const relatedState = shuffle(ss2State.slice());
-        const relatedAfcCat = makeAfcCat(new Array(12).fill(null).map(() => [cat]), categories);
-        const relatedAfcStim = createAfcStim(relatedStim, obj2);
-        stimulusDict['size2'].related[cat] = {
-          category: relatedCat,
-          stimulus: relatedStim,
-          state: relatedState,
-          afc_cat: relatedAfcCat,
-          afc_stim: relatedAfcStim
-        };
-        // Unrelated
-        const combos1 = makeCombos(cat, 1, categories);
-        const combos2 = makeCombos(cat, 1, categories).slice(0, 3);
-        const diffCat = combos1.concat(combos2);
-        // Stimuli: for each object (4) repeated 3 times
-        const unrelatedStim = [];
-        for (const f of obj2) {
-          for (let rep = 0; rep < 3; rep++) {
-            const rest = obj2.filter(o => o !== f);
-            const restShuf = shuffle(rest.slice());
-            unrelatedStim.push([f, restShuf[0]]);
-          }
-        }
-        // States
-        const unrelatedState = shuffle(ss2State.slice());
-        // afc_cat for unrelated uses diffCat
-        const unrelatedAfcCat = makeAfcCat(diffCat, categories);
-        // afc_stim: for each of 12 stimuli choose random foil
-        const unrelatedAfcStim = [];
-        for (const stim of unrelatedStim) {
-          const f = stim[0];
-          const rest = shuffle(obj2.slice());
-          unrelatedAfcStim.push([f, rest[0]]);
-        }
-        stimulusDict['size2'].unrelated[cat] = {
-          category: diffCat,
-          stimulus: unrelatedStim,
-          state: unrelatedState,
-          afc_cat: unrelatedAfcCat,
-          afc_stim: unrelatedAfcStim
-        };
-      }
-      // ----- size 4 -----
-      {
-        // Related
-        const relatedCat4 = [];
-        for (let i = 0; i < 12; i++) relatedCat4.push([cat, cat]);
-        // Stimuli: 4 objects repeated 3 times, excluding the chosen first object
-        const relatedStim4 = [];
-        for (const f of obj4) {
-          const rest = obj4.filter(o => o !== f);
-          for (let rep = 0; rep < 3; rep++) {
-            const restShuf = shuffle(rest.slice());
-            relatedStim4.push([f, ...restShuf]);
-          }
-        }
-        const relatedState4 = shuffle(ss4State.slice());
-        const relatedAfcCat4 = makeAfcCat(new Array(12).fill(null).map(() => [cat]), categories);
-        const relatedAfcStim4 = createAfcStim(relatedStim4, obj4);
-        stimulusDict['size4'].related[cat] = {
-          category: relatedCat4,
-          stimulus: relatedStim4,
-          state: relatedState4.slice(0, 12),
-          afc_cat: relatedAfcCat4,
-          afc_stim: relatedAfcStim4
-        };
-        // Unrelated
-        const diffCat4 = makeCombos(cat, 3, categories);
-        const unrelatedStim4 = [];
-        for (const f of obj4) {
-          for (let rep = 0; rep < 3; rep++) {
-            // For unrelated size4 we do not remove f from rest
-            const rest = shuffle(obj4.slice());
-            unrelatedStim4.push([f, rest[0], rest[1], rest[2]]);
-          }
-        }
-        const unrelatedState4 = shuffle(ss4State.slice());
-        const unrelatedAfcCat4 = makeAfcCat(diffCat4, categories);
-        const unrelatedAfcStim4 = [];
-        for (const stim of unrelatedStim4) {
-          const f = stim[0];
-          const rest = shuffle(obj4.slice());
-          unrelatedAfcStim4.push([f, rest[0]]);
-        }
-        stimulusDict['size4'].unrelated[cat] = {
-          category: diffCat4,
-          stimulus: unrelatedStim4,
-          state: unrelatedState4.slice(0, 12),
-          afc_cat: unrelatedAfcCat4,
-          afc_stim: unrelatedAfcStim4
-        };
-      }
-      // ----- size 6 -----
-      {
-          // Related
-          const relatedCat6 = [];
-          for (let i = 0; i < 12; i++) relatedCat6.push(Array(6).fill(cat));
-          // Stimuli: 6 objects repeated twice, excluding f from rest
-          const relatedStim6 = [];
-          for (const f of obj6) {
-            for (let rep = 0; rep < 2; rep++) {
-              const rest = obj6.filter(o => o !== f);
-              const restShuf = shuffle(rest.slice());
-              relatedStim6.push([f, ...restShuf]);
-            }
-          }
-          const relatedState6 = shuffle(ss6State.slice());
-          const relatedAfcCat6 = makeAfcCat(new Array(12).fill(null).map(() => [cat]), categories);
-          const relatedAfcStim6 = createAfcStim(relatedStim6, obj6);
-          stimulusDict['size6'].related[cat] = {
-            category: relatedCat6,
-            stimulus: relatedStim6,
-            state: relatedState6.slice(0, 12),
-            afc_cat: relatedAfcCat6,
-            afc_stim: relatedAfcStim6
-          };
-          // Unrelated
-          const diffCat6 = makeCombos(cat, 5, categories);
-          const unrelatedStim6 = [];
-          for (const f of obj6) {
-            for (let rep = 0; rep < 2; rep++) {
-              const rest = shuffle(obj6.slice());
-              unrelatedStim6.push([f, rest[0], rest[1], rest[2], rest[3], rest[4]]);
-            }
-          }
-          const unrelatedState6 = shuffle(ss6State.slice());
-          const unrelatedAfcCat6 = makeAfcCat(diffCat6, categories);
-          const unrelatedAfcStim6 = [];
-          for (const stim of unrelatedStim6) {
-            const f = stim[0];
-            const rest = shuffle(obj6.slice());
-            unrelatedAfcStim6.push([f, rest[0]]);
-          }
-          stimulusDict['size6'].unrelated[cat] = {
-            category: diffCat6,
-            stimulus: unrelatedStim6,
-            state: unrelatedState6.slice(0, 12),
-            afc_cat: unrelatedAfcCat6,
-            afc_stim: unrelatedAfcStim6
-          };
-      }
+    match = /^afc_(\w+?)_(type|category|object|state)$/.exec(column);
+    if (match) {
+      return { Description: `The ${match[2]} of the 4AFC item shown in the ${match[1].replace('_', '-')} quadrant` };
     }
-    return stimulusDict;
-  }
-
-  // ---------------------------------------------------------------------------
-  // Preloading utilities
-  // The following functions are defined outside of buildStimulusDict so they
-  // can be referenced from elsewhere in the script (e.g. showInstructions).
-  // Duplicate definitions exist inside buildStimulusDict for legacy reasons,
-  // but those are scoped locally and do not affect the global behaviour.
-
-  /**
-   * Build a flat list of all image paths used in the experiment.  This
-   * includes every possible stimulus image (across all set sizes,
-   * categories, objects and states) as well as the instruction images.
-   * These paths are used by the image preloader so that every image can
-   * be fetched and cached before the experiment starts.  Having images
-   * loaded up front avoids missing or delayed stimuli when trials run.
-   *
-   * @returns {Array<string>} List of relative image paths
-   */
-  function buildAllImagePaths() {
-    const paths = [];
-    const setSizes = ['size2', 'size4', 'size6'];
-    const objectsBySet = {
-      size2: ['obj1', 'obj2', 'obj3', 'obj4'],
-      size4: ['obj1', 'obj2', 'obj3', 'obj4'],
-      size6: ['obj1', 'obj2', 'obj3', 'obj4', 'obj5', 'obj6']
-    };
-    const states = ['s1', 's2'];
-    setSizes.forEach(ss => {
-      const objs = objectsBySet[ss];
-      categoriesList.forEach(cat => {
-        objs.forEach(obj => {
-          states.forEach(st => {
-            const relPath = `stimuli_folder/${ss}/${cat}/${obj}_${st}.jpg`;
-            paths.push(relPath);
-          });
-        });
-      });
-    });
-    paths.push('instr1.png');
-    paths.push('instr2.png');
-    return paths;
+    return { Description: column };
   }
 
   /**
-   * Preload all experiment images before the task begins.  Given a list
-   * of image paths, this function creates Image objects, assigns each
-   * path to the src attribute, and resolves a promise when all images
-   * have either loaded or failed.  Successfully loaded images are
-   * stored on the IMAGE_CACHE object for potential later reuse.
-   *
-   * An optional callback can be supplied to monitor progress.  It is
-   * invoked with (loadedCount, totalCount, path, success) each time an
-   * image finishes loading (or fails).  This can be used to update a
-   * progress indicator on screen if desired.
-   *
-   * @param {Function} updateProgressCallback Optional progress callback
-   * @returns {Promise<{failed: Array<string>}>} Resolves when all images are attempted
+   * Build BIDS-style events: the trial rows preceded by the required
+   * onset, duration and trial_type columns.
+   * @param {Object} data The `p` data object
+   * @returns {Array<Object>} Event rows
    */
-  function preloadImages(updateProgressCallback) {
-    const paths = buildAllImagePaths();
-    const total = paths.length;
-    let loadedCount = 0;
-    const failed = [];
-    return new Promise(resolve => {
-      paths.forEach(path => {
-        const img = new Image();
-        img.onload = () => {
-          IMAGE_CACHE[path] = img;
-          loadedCount++;
-          if (updateProgressCallback) {
-            updateProgressCallback(loadedCount, total, path, true);
-          }
-          if (loadedCount === total) {
-            resolve({ failed });
-          }
-        };
-        img.onerror = () => {
-          console.warn('Failed to preload image:', path);
-          failed.push(path);
-          loadedCount++;
-          if (updateProgressCallback) {
-            updateProgressCallback(loadedCount, total, path, false);
-          }
-          if (loadedCount === total) {
-            resolve({ failed });
-          }
-        };
-        img.src = path;
-      });
-    });
+  function bidsRows(data) {
+    const rows = trialRows(data);
+    const t0 = rows.length ? rows[0].trial_start : 0;
+    return rows.map(row => Object.assign({
+      onset: (row.trial_start - t0) / 1000,
+      duration: (row.trial_end - row.trial_start) / 1000,
+      trial_type: row.catch_type ? `catch_${row.catch_type}` : `${row.set_size}_${row.context}_${row.encoding_time}s`
+    }, row));
   }
 
   /**
-   * Create a download link for the given JSON data and display it in the
-   * experiment container.  When clicked, the file will be saved to the
-   * user's machine.  Optionally triggers an automatic click to start the
-   * download immediately.
-   * @param {Object} data The data object to convert to JSON
-   * @param {string} filename Name of the file to download
+   * Offer the collected data in every format listed in
+   * `config.export_formats`.  File names of aborted sessions carry a
+   * `_partial` suffix.
+   * @param {boolean} partial Whether the session was aborted
    */
-  function createDownloadLink(data, filename) {
-    const jsonStr = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.textContent = 'Download results';
-    link.style.display = 'block';
-    link.style.marginTop = '20px';
-    document.getElementById('experiment').appendChild(link);
+  function offerDownloads(partial) {
+    const suffix = partial ? '_partial' : '';
+    const what = partial ? 'partial results' : 'results';
+    const number = p.participant.number;
+    const formats = p.config.export_formats;
+    if (formats.includes('json')) {
+      createDownloadLink(p, `${number}_semantic_vwm${suffix}.json`, `Download ${what} (JSON)`);
+    }
+    if (formats.includes('csv')) {
+      createFileLink(toDelimited(trialRows(p), ','), `${number}_semantic_vwm_trials${suffix}.csv`,
+        'text/csv', `Download ${what} (CSV, one row per trial)`);
+    }
+    if (formats.includes('bids')) {
+      const rows = bidsRows(p);
+      const sidecar = {};
+      Object.keys(rows[0] || COLUMN_DESCRIPTIONS).forEach(column => {
+        sidecar[column] = describeColumn(column);
+      });
+      const base = `sub-${String(number).replace(/[^a-zA-Z0-9]/g, '')}_task-semanticvwm${suffix.replace('_', '_desc-')}_events`;
+      createFileLink(toDelimited(rows, '\t', 'n/a'), `${base}.tsv`, 'text/tab-separated-values', `Download ${what} (BIDS events.tsv)`);
+      createFileLink(JSON.stringify(sidecar, null, 2), `${base}.json`, 'application/json', 'Download events.tsv column descriptions (JSON)');
+    }
   }
 
   /**
    * Wait for the user to press one of the specified keys.  Returns a
-   * promise that resolves with the pressed key.
+   * promise that resolves with the pressed key.  On touchscreens a tap on
+   * `tapTarget`, if given, counts as well and resolves with 'tap'.
    * @param {Array<string>} keys List of allowed key identifiers
+   * @param {HTMLElement} [tapTarget] Element that also continues when tapped
    * @returns {Promise<string>} Promise that resolves with the key pressed
    */
-  function waitForKey(keys) {
+  function waitForKey(keys, tapTarget) {
     return new Promise(resolve => {
+      function done(key) {
+        window.removeEventListener('keydown', handleKey);
+        if (tapTarget) tapTarget.removeEventListener('pointerup', handleTap);
+        resolve(key);
+      }
       function handleKey(event) {
         const key = event.key;
-        if (keys.includes(key)) {
-          window.removeEventListener('keydown', handleKey);
-          resolve(key);
-        }
+        if (keys.includes(key)) done(key);
+      }
+      function handleTap(event) {
+        if (event.pointerType === 'touch' || event.pointerType === 'pen') done('tap');
       }
       window.addEventListener('keydown', handleKey);
+      if (tapTarget) tapTarget.addEventListener('pointerup', handleTap);
     });
   }
 
@@ -614,40 +487,468 @@
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Global variables to hold experiment state
-  const categoriesList = Array.from({ length: 10 }, (_, i) => `cat_${i + 1}`);
-  const setSize = ['size2', 'size4', 'size6'];
-  const encodingTimes = [0.15, 0.5, 1]; // seconds
-  const contexts = ['related', 'unrelated'];
-  // Stimuli dictionary computed once at start
-  const stimulusDict = buildStimulusDict();
-  // Condition list and random IDs
-  const conditions = [];
-  for (let rep = 0; rep < 2; rep++) {
-    for (const ss of setSize) {
-      for (const et of encodingTimes) {
-        for (const ctx of contexts) {
-          for (const cat of categoriesList) {
-            conditions.push([ss, et, ctx, cat]);
+  // ---------------------------------------------------------------------------
+  // Frame-locked presentation
+  // Display changes are applied inside requestAnimationFrame callbacks and
+  // durations are counted in frames of the measured refresh interval.  The
+  // timestamp passed to the callback that applies a change is logged as the
+  // onset of the new display and the offset of the previous one.
+
+  // Duration of one frame in ms, measured once per page load
+  let frameMs = null;
+
+  /**
+   * Wait for the next animation frame.
+   * @returns {Promise<number>} Timestamp of the frame (performance.now clock)
+   */
+  function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+  }
+
+  /**
+   * Measure the refresh interval as the median of `nFrames` consecutive
+   * frame intervals and record it in `p.display`.  Falls back to 60 Hz if
+   * the browser reports implausible timestamps.
+   * @param {number} [nFrames=60] Number of intervals to sample
+   * @returns {Promise<number>} Frame duration in ms
+   */
+  async function measureFrameRate(nFrames = 60) {
+    const stamps = [await nextFrame()];
+    while (stamps.length <= nFrames) {
+      stamps.push(await nextFrame());
+    }
+    const intervals = stamps.slice(1).map((t, k) => t - stamps[k]).sort((a, b) => a - b);
+    let median = intervals[Math.floor(intervals.length / 2)];
+    if (!(median >= 1)) {
+      console.warn('Implausible frame interval measured, assuming 60 Hz:', median);
+      median = 1000 / 60;
+    }
+    frameMs = median;
+    p.display = {
+      frame_ms: median,
+      refresh_hz: 1000 / median,
+      measured_at: new Date().toISOString()
+    };
+    return median;
+  }
+
+  /**
+   * Convert a duration to a whole number of frames.
+   * @param {number} ms Duration in ms
+   * @returns {number} Number of frames closest to the duration
+   */
+  function msToFrames(ms) {
+    return Math.round(ms / frameMs);
+  }
+
+  /**
+   * Present a sequence of displays, each for a whole number of frames.
+   * Every phase is { name, render, frames }; `render` swaps the display in
+   * and is called inside a requestAnimationFrame callback.  The last phase
+   * should have `frames: null` and stays on screen when the promise
+   * resolves.  Phases with 0 frames are rendered and immediately replaced.
+   * @param {Array<Object>} phases Displays to present in order
+   * @returns {Promise<Object>} `<name>_onset`/`<name>_offset` timestamps
+   */
+  function presentFrames(phases) {
+    return new Promise(resolve => {
+      const log = {};
+      let k = 0;
+      let remaining = 0;
+      function onFrame(timestamp) {
+        while (remaining === 0) {
+          if (k > 0) log[`${phases[k - 1].name}_offset`] = timestamp;
+          const phase = phases[k];
+          phase.render();
+          log[`${phase.name}_onset`] = timestamp;
+          k++;
+          if (phase.frames === null || k === phases.length) {
+            resolve(log);
+            return;
           }
+          remaining = phase.frames;
         }
+        remaining--;
+        requestAnimationFrame(onFrame);
       }
+      requestAnimationFrame(onFrame);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fullscreen and attention monitoring
+  // Leaving fullscreen, hiding the page (switching tabs, minimising) and
+  // moving focus to another window are logged in `p.events` against the
+  // trial on screen.  Trials during which the page was hidden or lost focus
+  // while the memory array or the delay was shown are flagged in the data.
+
+  // Trial being shown, as { phase, index }, for the event log
+  let currentTrial = null;
+  // Start of the ongoing period in which the page is hidden, unfocused or
+  // out of fullscreen
+  const lapseStart = { hidden: null, blur: null, fullscreen: null };
+  // Completed periods: { kind: 'hidden'|'blur'|'fullscreen', start, end }
+  // in ms on the performance.now clock
+  const lapses = [];
+  let monitoring = false;
+  // Whether the participant has already been asked to enter fullscreen
+  let fullscreenRequested = false;
+
+  /**
+   * Append an event to `p.events`, tagged with the current trial.
+   * @param {string} type Event type
+   * @param {*} [detail=null] Additional information about the event
+   */
+  function logEvent(type, detail = null) {
+    p.events.push({
+      type,
+      detail,
+      phase: currentTrial ? currentTrial.phase : null,
+      trial_index: currentTrial ? currentTrial.index : null,
+      time: performance.now(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record the start or end of a period in which the page was hidden,
+   * unfocused or out of fullscreen.
+   * @param {string} kind 'hidden', 'blur' or 'fullscreen'
+   * @param {boolean} active Whether the period starts (true) or ends
+   */
+  function setLapse(kind, active) {
+    const now = performance.now();
+    if (active && lapseStart[kind] === null) {
+      lapseStart[kind] = now;
+    } else if (!active && lapseStart[kind] !== null) {
+      lapses.push({ kind, start: lapseStart[kind], end: now });
+      lapseStart[kind] = null;
     }
   }
-  // Shuffle condition order
-  shuffle(conditions);
-  // Generate random IDs 0..11 repeated 30 times and shuffle
-  const randId = [];
-  for (let i = 0; i < 30; i++) {
-    for (let j = 0; j < 12; j++) {
-      randId.push(j);
+
+  /**
+   * Whether the page was hidden, unfocused or out of fullscreen at any time
+   * in an interval.
+   * @param {string} kind 'hidden', 'blur' or 'fullscreen'
+   * @param {number} start Start of the interval (performance.now clock)
+   * @param {number} end End of the interval
+   * @returns {boolean} True if a lapse overlapped the interval
+   */
+  function lapsedDuring(kind, start, end) {
+    if (lapseStart[kind] !== null && lapseStart[kind] < end) return true;
+    return lapses.some(lapse => lapse.kind === kind && lapse.start < end && lapse.end > start);
+  }
+
+  /**
+   * Start listening for visibility, focus and fullscreen changes.  Calling
+   * it again has no effect.
+   */
+  function startMonitoring() {
+    if (monitoring) return;
+    monitoring = true;
+    if (document.visibilityState === 'hidden') setLapse('hidden', true);
+    document.addEventListener('visibilitychange', () => {
+      logEvent('visibilitychange', document.visibilityState);
+      setLapse('hidden', document.visibilityState === 'hidden');
+    });
+    window.addEventListener('blur', () => {
+      logEvent('blur');
+      setLapse('blur', true);
+    });
+    window.addEventListener('focus', () => {
+      logEvent('focus');
+      setLapse('blur', false);
+    });
+    document.addEventListener('fullscreenchange', () => {
+      logEvent('fullscreenchange', document.fullscreenElement ? 'enter' : 'exit');
+      // Only leaving fullscreen starts a lapse; the window resizes, which
+      // moves the stimuli of a trial in progress
+      setLapse('fullscreen', !document.fullscreenElement);
+    });
+  }
+
+  /**
+   * If the configuration requires fullscreen and the page is not in
+   * fullscreen, pause on a screen with a button that (re)enters it.
+   * Browsers only allow fullscreen in response to a click, hence the
+   * button.  Browsers without the Fullscreen API (e.g. iPhone Safari) run
+   * the task in the window.  The pause is logged with its duration.
+   * @returns {Promise<void>} Resolves once the page is in fullscreen
+   */
+  function ensureFullscreen() {
+    const root = document.documentElement;
+    startMonitoring();
+    if (!config.require_fullscreen || document.fullscreenElement) return Promise.resolve();
+    if (typeof root.requestFullscreen !== 'function') {
+      if (!p.events.some(event => event.type === 'fullscreen_unavailable')) logEvent('fullscreen_unavailable');
+      return Promise.resolve();
+    }
+    const first = !fullscreenRequested;
+    fullscreenRequested = true;
+    const start = performance.now();
+    const container = document.getElementById('experiment');
+    container.innerHTML = '';
+    return new Promise(resolve => {
+      const div = document.createElement('div');
+      div.className = 'form-container';
+      const text = document.createElement('div');
+      text.className = 'instructions';
+      text.textContent = first
+        ? 'The task runs in full screen mode. Please keep it in full screen until the end.'
+        : 'You left full screen mode, so the task is paused. Please return to full screen to continue.';
+      const button = document.createElement('button');
+      button.textContent = first ? 'Switch to full screen' : 'Return to full screen';
+      button.addEventListener('click', async () => {
+        try {
+          await root.requestFullscreen();
+        } catch (err) {
+          console.warn('Could not enter fullscreen:', err);
+          return;
+        }
+        if (!first) logEvent('fullscreen_pause', (performance.now() - start) / 1000);
+        container.innerHTML = '';
+        resolve();
+      });
+      div.appendChild(text);
+      div.appendChild(button);
+      container.appendChild(div);
+    });
+  }
+
+  /**
+   * Load the experiment configuration.  The file is config.json unless the
+   * URL names another one (?config=variant.json).  Keys missing from the
+   * file fall back to DEFAULT_CONFIG (see mergeConfig); if the file cannot
+   * be fetched at all the defaults are used unchanged.
+   * @returns {Promise<Object>} The merged configuration
+   */
+  async function loadConfig() {
+    const file = new URLSearchParams(window.location.search).get('config') || 'config.json';
+    let loaded = {};
+    try {
+      const response = await fetch(file, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      loaded = await response.json();
+    } catch (err) {
+      console.warn(`Could not load ${file}, using default configuration:`, err);
     }
+    return Object.assign({ file }, mergeConfig(loaded));
   }
-  shuffle(randId);
-  // Data structure to collect results
-  const p = {
-    participant: { number: '', age: '' },
-    task: {
+
+  /**
+   * Load the design file named by the URL (?design=seed-123.json) or by
+   * `design_file` in the configuration, if any.
+   * @returns {Promise<Object|null>} The parsed file with its name added as
+   *   `file`, or null when the design is generated from the seed
+   * @throws {Error} If the file cannot be fetched or parsed
+   */
+  async function loadDesignFile() {
+    const file = new URLSearchParams(window.location.search).get('design') || config.design_file;
+    if (!file) return null;
+    const response = await fetch(file, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return Object.assign({ file }, await response.json());
+  }
+
+  /**
+   * Replace the experiment with a list of problems that must be fixed
+   * before a participant can start.
+   * @param {string} heading Short description of what went wrong
+   * @param {Array<string>} messages One entry per problem
+   * @param {Function} [onRetry] If given, a button that calls it is shown
+   */
+  function showBlockingErrors(heading, messages, onRetry) {
+    const container = document.getElementById('experiment');
+    container.innerHTML = '';
+    const div = document.createElement('div');
+    div.className = 'instructions error-screen';
+    const title = document.createElement('h2');
+    title.textContent = heading;
+    const list = document.createElement('ul');
+    messages.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    div.appendChild(title);
+    div.appendChild(list);
+    if (onRetry) {
+      const retryBtn = document.createElement('button');
+      retryBtn.textContent = 'Check again';
+      retryBtn.addEventListener('click', () => onRetry());
+      div.appendChild(retryBtn);
+    }
+    container.appendChild(div);
+  }
+
+  // Stimulus manifest written by tools/build_manifest.js.  It maps every
+  // (size, category, object, state) to the real filename on disk, so the
+  // task does not depend on the case of file extensions.
+  const MANIFEST_FILE = 'stimuli_folder/manifest.json';
+  let manifest = null;
+
+  /**
+   * Fetch the stimulus manifest.
+   * @returns {Promise<Object>} Parsed manifest with a `files` map
+   */
+  async function loadManifest() {
+    const response = await fetch(MANIFEST_FILE, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const loaded = await response.json();
+    if (!loaded || typeof loaded.files !== 'object') {
+      throw new Error('the file has no "files" map');
+    }
+    return loaded;
+  }
+
+  /**
+   * Build the manifest key of a stimulus.
+   * @param {string} ss Set size folder (e.g. 'size4')
+   * @param {string} category Category folder (e.g. 'cat_5')
+   * @param {string} obj Object name (e.g. 'obj1')
+   * @param {string} state State name ('s1' or 's2')
+   * @returns {string} Key such as `size4/cat_5/obj1_s1`
+   */
+  function stimulusKey(ss, category, obj, state) {
+    return `${ss}/${category}/${obj}_${state}`;
+  }
+
+  /**
+   * Resolve a stimulus to the path of its image file via the manifest.
+   * @param {string} ss Set size folder
+   * @param {string} category Category folder
+   * @param {string} obj Object name
+   * @param {string} state State name
+   * @returns {string|null} Relative image path, or null if not in the manifest
+   */
+  function stimulusPath(ss, category, obj, state) {
+    const file = manifest.files[stimulusKey(ss, category, obj, state)];
+    return file ? `stimuli_folder/${file}` : null;
+  }
+
+  /**
+   * Run an async function over a list with at most `limit` calls in
+   * flight at once.
+   * @param {Array} items Items to process
+   * @param {number} limit Maximum number of concurrent calls
+   * @param {Function} fn Async function called with (item, index)
+   * @returns {Promise<Array>} Results in the order of `items`
+   */
+  async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    }
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Check that every stimulus the configuration needs is listed in the
+   * manifest and actually served.  A file that is listed but cannot be
+   * fetched usually means the manifest is stale or the filename's case
+   * differs on a case-sensitive server.
+   * @param {Object} cfg Validated experiment configuration
+   * @returns {Promise<Array<string>>} One message per missing or mismatched file
+   */
+  async function checkStimulusFiles(cfg) {
+    const problems = [];
+    const listed = [];
+    requiredStimulusKeys(cfg).forEach(key => {
+      if (manifest.files[key]) listed.push(key);
+      else problems.push(`${key}: missing from ${MANIFEST_FILE}`);
+    });
+    const served = await mapLimit(listed, 8, async key => {
+      try {
+        const response = await fetch(`stimuli_folder/${manifest.files[key]}`, { method: 'HEAD', cache: 'no-store' });
+        return response.ok;
+      } catch (err) {
+        return false;
+      }
+    });
+    listed.forEach((key, i) => {
+      if (!served[i]) {
+        problems.push(`${key}: ${manifest.files[key]} is in the manifest but could not be fetched`);
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * Validate the stimulus files and only show the demographic form once
+   * every file is present.  Problems are listed on a blocking screen with
+   * a button to check again after the files have been fixed.
+   */
+  async function validateStimuli() {
+    const container = document.getElementById('experiment');
+    container.innerHTML = '';
+    const checking = document.createElement('div');
+    checking.className = 'loading';
+    checking.textContent = 'Checking stimulus files...';
+    container.appendChild(checking);
+    const problems = await checkStimulusFiles(config);
+    if (problems.length) {
+      showBlockingErrors(`${problems.length} stimulus file(s) are missing or mismatched`, problems, validateStimuli);
+      return;
+    }
+    showDemographicForm();
+  }
+
+  // Global variables to hold experiment state
+  // Validated configuration, set once the page has loaded
+  let config = null;
+  // Seed of the current session.  Every random draw in the task comes
+  // from generators seeded with this value, so the same seed always
+  // reproduces the same trial sequence.
+  let sessionSeed = null;
+  // Stimuli dictionary, computed once the seed is known
+  let stimulusDict = null;
+  // Condition list and random IDs
+  const conditions = [];
+  const randId = [];
+  // Catch trial type of every trial ('easy' or 'instructed'), null for the
+  // trials of the design
+  const catchTypes = [];
+  // Design file the trials are read from (see loadDesignFile), or null
+  // when they are generated from the seed
+  let designFile = null;
+  // Adapters of the online platforms in `backend.adapters` (see
+  // backends.js), created once the configuration is loaded
+  let backends = [];
+  // Stimulus positions, 4AFC order and instructed catch slot of every
+  // trial, as listed in the design file; empty when they are drawn from
+  // each trial's own stream during the session
+  const trialLayouts = [];
+
+  /**
+   * Set up the design of a session: the stimulus dictionary, the condition
+   * list, the random stimulus IDs and the catch trial types.  They come
+   * from the loaded design file if there is one and are otherwise
+   * generated from the seed (see generateDesign in design.js).
+   * @param {number} seed Session seed
+   */
+  function buildDesign(seed) {
+    sessionSeed = seed;
+    const design = designFile ? readDesignFile(designFile) : generateDesign(config, seed);
+    stimulusDict = design.stimulusDict;
+    conditions.splice(0, conditions.length, ...design.conditions);
+    randId.splice(0, randId.length, ...design.randId);
+    catchTypes.splice(0, catchTypes.length, ...design.catchTypes);
+    trialLayouts.splice(0, trialLayouts.length, ...(design.layouts || []));
+  }
+
+  /**
+   * Create an empty column-oriented trial record with one array per
+   * recorded variable.
+   * @returns {Object} The empty record
+   */
+  function createTrialData() {
+    return {
       trial: [],
       condition: [],
       set_size: [],
@@ -655,7 +956,7 @@
       context: [],
       id: [],
       category: [],
-      stimuli_category = [],
+      stimuli_category: [],
       obj: [],
       state: [],
       stimulus_loc: [],
@@ -663,18 +964,411 @@
       afc_stim: [],
       afc_loc: [],
       response: [],
+      response_key: [],
+      response_modality: [],
+      response_x: [],
+      response_y: [],
       rt: [],
       correct_ans: [],
-      correct_cat: []
+      correct_cat: [],
+      trial_start: [],
+      trial_end: [],
+      // Per-trial presentation log: intended frames of each display and
+      // the onset/offset timestamps (ms, performance.now clock) of the
+      // fixation, memory array, delay and 4AFC displays
+      timing: [],
+      page_hidden: [],
+      focus_lost: [],
+      fullscreen_exit: [],
+      image_error: [],
+      missing_images: [],
+      renderer: [],
+      catch_type: [],
+      catch_key: [],
+      catch_passed: []
+    };
+  }
+
+  // Data structure to collect results
+  const p = {
+    // Study and session IDs are those of the recruitment platform when
+    // they come from the URL (see url_params), null otherwise
+    participant: { number: '', age: '', study_id: null, session_id: null },
+    seed: null,
+    // Design file the trial list was read from, null when it was generated
+    // from the seed
+    design_file: null,
+    config: null,
+    // 'in_progress' until the session ends, then 'complete' or 'aborted'
+    status: 'in_progress',
+    // Set when the session is aborted: { timestamp, phase, trial_index }
+    aborted: null,
+    // Measured refresh rate: { frame_ms, refresh_hz, measured_at }
+    display: null,
+    // Response key of every 4AFC quadrant and quadrant of every 4AFC slot
+    // for this participant, see assignResponseMapping
+    counterbalancing: null,
+    // Pass rate of the catch trials, computed when the session ends
+    catch_summary: null,
+    // Fullscreen, visibility and focus changes during the session:
+    // { type, detail, phase, trial_index, time, timestamp }
+    events: [],
+    // Screen calibration when stimuli are sized in degrees of visual angle:
+    // { card_width_px, px_per_cm, viewing_distance_cm, px_per_deg,
+    //   window_width, window_height, device_pixel_ratio, measured_at }
+    calibration: null,
+    // Experimental trials, with the block of each trial, the duration (in
+    // seconds) of the rest break that preceded its block and the attempt
+    // (2 for a trial repeated at the end of its block because it timed out
+    // or fullscreen was left during it)
+    task: Object.assign(createTrialData(), { block: [], break_duration: [], attempt: [] }),
+    // Practice trials, kept apart from the experimental trials, with the
+    // practice round of each trial
+    practice: Object.assign(createTrialData(), { round: [] }),
+    // One entry per practice round: { round, accuracy, passed }
+    practice_rounds: []
+  };
+
+  // ---------------------------------------------------------------------------
+  // Incremental persistence
+  // After every completed trial a snapshot of `p` is written to localStorage
+  // under the participant number.  The design is a pure function of the
+  // configuration and seed stored in `p`, so a snapshot is all that is
+  // needed to rebuild the same condition order and randId after a reload or
+  // crash and continue with the next trial.
+
+  /**
+   * localStorage key under which a participant's progress is kept.
+   * @param {string} number Participant number
+   * @returns {string} Storage key
+   */
+  function progressKey(number) {
+    return `semantic_vwm_progress_${number}`;
+  }
+
+  /**
+   * Save a snapshot of the collected data and the index of the next trial,
+   * or during the practice the round that is under way.  Storage failures
+   * (private browsing, full quota) are logged but do not interrupt the
+   * session.
+   * @param {number} nextTrial Index of the first trial not yet completed
+   * @param {number|null} [practiceRound=null] Practice round to run again
+   *   on resuming, or null once the practice is over
+   */
+  function saveProgress(nextTrial, practiceRound = null) {
+    const snapshot = {
+      saved_at: new Date().toISOString(),
+      next_trial: nextTrial,
+      total_trials: conditions.length,
+      practice_round: practiceRound,
+      p
+    };
+    try {
+      localStorage.setItem(progressKey(p.participant.number), JSON.stringify(snapshot));
+    } catch (err) {
+      console.warn('Could not save session progress:', err);
+    }
+  }
+
+  /**
+   * Read the saved progress of an unfinished session, if there is one.
+   * @param {string} number Participant number
+   * @returns {Object|null} Snapshot written by saveProgress, or null
+   */
+  function loadProgress(number) {
+    try {
+      const raw = localStorage.getItem(progressKey(number));
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      console.warn('Could not read saved session progress:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the saved progress of a participant once their session ends.
+   * @param {string} number Participant number
+   */
+  function clearProgress(number) {
+    try {
+      localStorage.removeItem(progressKey(number));
+    } catch (err) {
+      console.warn('Could not clear saved session progress:', err);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Data server
+  // With `data_server.enabled`, every completed trial and the final `p` are
+  // posted to tools/server.js, which writes them atomically into the lab's
+  // data folder.  Bodies carry their SHA-256 so the server can reject
+  // damaged uploads, and the checksum the server reports for the final file
+  // is compared with the local copy.
+
+  // Time to wait for the server before treating it as unreachable
+  const SERVER_TIMEOUT_MS = 10000;
+
+  /**
+   * SHA-256 of a text as lowercase hex.  Web Crypto only exists in secure
+   * contexts (https or localhost); elsewhere no checksum is computed.
+   * @param {string} text Text to hash
+   * @returns {Promise<string|null>} Hex digest, or null without Web Crypto
+   */
+  async function sha256Hex(text) {
+    if (!window.crypto || !window.crypto.subtle) return null;
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Post a JSON text to an endpoint of the data server.
+   * @param {string} endpoint 'trial' or 'results'
+   * @param {string} text JSON body
+   * @returns {Promise<Object>} The server's reply: { ok, file, sha256 }
+   * @throws {Error} If the server cannot be reached in time, rejects the
+   *   data or stored something other than what was sent
+   */
+  async function postToServer(endpoint, text) {
+    const checksum = await sha256Hex(text);
+    const headers = { 'Content-Type': 'application/json' };
+    if (checksum) headers['X-Content-SHA256'] = checksum;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SERVER_TIMEOUT_MS);
+    try {
+      const response = await fetch(`${config.data_server.url}/data/${endpoint}`,
+        { method: 'POST', headers, body: text, signal: controller.signal });
+      const reply = await response.json();
+      if (!response.ok || !reply.ok) throw new Error(reply.error || `HTTP ${response.status}`);
+      if (endpoint === 'results' && checksum && reply.sha256 !== checksum) {
+        throw new Error(`The server stored ${reply.file} with a different checksum`);
+      }
+      return reply;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Send the last recorded trial of a record to the data server.  The
+   * session does not wait for it; failures are only logged, since the final
+   * upload and the local snapshot hold every trial as well.
+   * @param {string} phase 'task' or 'practice'
+   * @param {Object} data Column-oriented trial record (`p.task` or `p.practice`)
+   * @param {number} attempt Attempt of the trial
+   */
+  function sendTrial(phase, data, attempt) {
+    if (!config.data_server.enabled) return;
+    const last = data.trial.length - 1;
+    const record = {};
+    Object.keys(data).forEach(key => { record[key] = data[key][last]; });
+    const body = { participant: p.participant.number, seed: p.seed, phase, trial: data.trial[last], attempt, record };
+    postToServer('trial', JSON.stringify(body))
+      .catch(err => console.warn(`Could not send ${phase} trial ${data.trial[last]} to the data server:`, err));
+  }
+
+  /**
+   * Store the final data on the data server and with every platform
+   * adapter that uploads data, if any are configured.  Without any, or if
+   * one of them fails, the files are offered as downloads on the end
+   * screen instead.
+   * @param {boolean} partial Whether the session was aborted
+   * @returns {Promise<boolean>} Whether the data were stored remotely
+   */
+  async function storeResults(partial) {
+    const uploads = backends.filter(adapter => adapter.submit);
+    if (!config.data_server.enabled && !uploads.length) {
+      offerDownloads(partial);
+      return false;
+    }
+    const container = document.getElementById('experiment');
+    const status = document.createElement('div');
+    status.className = 'server-status';
+    status.textContent = 'Saving your data, please wait...';
+    container.appendChild(status);
+    const text = JSON.stringify(p, null, 2);
+    const saved = [];
+    const failed = [];
+    if (config.data_server.enabled) {
+      try {
+        const reply = await postToServer('results', text);
+        saved.push(reply.file);
+      } catch (err) {
+        console.warn('Could not send the results to the data server:', err);
+        failed.push('the data server');
+      }
+    }
+    const upload = {
+      text,
+      filename: `${p.participant.number}_semantic_vwm${partial ? '_partial' : ''}.json`,
+      status: p.status
+    };
+    for (const adapter of uploads) {
+      try {
+        saved.push(await adapter.submit(upload));
+      } catch (err) {
+        console.warn(`Could not submit the results to ${adapter.label}:`, err);
+        failed.push(adapter.label);
+      }
+    }
+    if (!failed.length) {
+      status.textContent = `The data have been saved (${saved.join(', ')}).`;
+      return true;
+    }
+    status.textContent = `The data could not be sent to ${failed.join(' and ')}. Please download the files below and pass them on to the experimenter.`;
+    offerDownloads(partial);
+    return false;
+  }
+
+  /**
+   * End the study on the platforms whose adapters have a completion step.
+   * This comes after the data are stored or offered for download, so
+   * failures are only logged.
+   */
+  async function completeOnPlatforms() {
+    for (const adapter of backends.filter(a => a.complete)) {
+      try {
+        await adapter.complete(p.status);
+      } catch (err) {
+        console.warn(`Could not end the study on ${adapter.label}:`, err);
+      }
+    }
+  }
+
+  /**
+   * Send the participant back to the recruitment platform if an adapter
+   * has a completion URL for the session.  Once the data are stored the
+   * redirect follows after `backend.redirect_delay_ms`; otherwise the
+   * participant follows the link after downloading the files.
+   * @param {boolean} stored Whether the data were stored remotely
+   */
+  function redirectToPlatform(stored) {
+    const adapter = backends.find(a => a.completionUrl && a.completionUrl(p.status));
+    if (!adapter) return;
+    const url = adapter.completionUrl(p.status);
+    const div = document.createElement('div');
+    div.className = 'completion-link';
+    const link = document.createElement('a');
+    link.href = url;
+    if (stored) {
+      div.textContent = `You will be returned to ${adapter.label} in a few seconds. `;
+      link.textContent = 'Continue now';
+      setTimeout(() => window.location.assign(url), config.backend.redirect_delay_ms);
+    } else {
+      div.textContent = 'Once you have downloaded the files, ';
+      link.textContent = `return to ${adapter.label} to complete the study`;
+    }
+    div.appendChild(link);
+    document.getElementById('experiment').appendChild(div);
+  }
+
+  /**
+   * Offer to resume an unfinished session found for the participant number
+   * entered in the demographic form, or to discard it and start over.
+   * @param {Object} saved Snapshot returned by loadProgress
+   */
+  function showResumePrompt(saved) {
+    const container = document.getElementById('experiment');
+    container.innerHTML = '';
+    const div = document.createElement('div');
+    div.className = 'form-container';
+    const message = document.createElement('div');
+    message.className = 'instructions';
+    const progress = saved.practice_round
+      ? `in practice round ${saved.practice_round}, which starts again`
+      : `${saved.next_trial} of ${saved.total_trials} trials completed`;
+    message.textContent = `An unfinished session was found for participant ${saved.p.participant.number} ` +
+      `(${progress}, last saved ${new Date(saved.saved_at).toLocaleString()}).`;
+    const resumeBtn = document.createElement('button');
+    resumeBtn.textContent = 'Resume session';
+    resumeBtn.addEventListener('click', () => resumeSession(saved));
+    const newBtn = document.createElement('button');
+    newBtn.textContent = 'Discard it and start a new session';
+    newBtn.addEventListener('click', () => {
+      clearProgress(p.participant.number);
+      buildDesign(p.seed);
+      showInstructions();
+    });
+    div.appendChild(message);
+    div.appendChild(resumeBtn);
+    div.appendChild(newBtn);
+    container.appendChild(div);
+  }
+
+  /**
+   * Restore a saved session and continue with its next trial.  The saved
+   * configuration and seed regenerate the original design.  A session
+   * saved during the practice runs the interrupted practice round again
+   * from its start; rounds are seeded by their number, so it shows the
+   * same trials.
+   * @param {Object} saved Snapshot returned by loadProgress
+   */
+  async function resumeSession(saved) {
+    Object.assign(p, saved.p);
+    config = p.config;
+    buildDesign(p.seed);
+    if (saved.practice_round) {
+      const round = saved.practice_round;
+      const kept = p.practice.round.filter(r => r < round).length;
+      Object.keys(p.practice).forEach(key => {
+        p.practice[key].length = Math.min(p.practice[key].length, kept);
+      });
+      p.practice_rounds = p.practice_rounds.filter(entry => entry.round < round);
+      await showMessage(`Welcome back. The practice starts again with round ${round}.<br><br>Press Enter to continue.`);
+      await ensureFullscreen();
+      if (!(await runPractice(round))) return;
+      await runTrials();
+      return;
     }
-  };
+    await showMessage(`Welcome back. The task continues with trial ${saved.next_trial + 1} of ${conditions.length}.<br><br>Press Enter to continue.`);
+    await runTrials(saved.next_trial);
+  }
+
+  /**
+   * Record the participant and seed of a new session and continue with the
+   * resume prompt, if an unfinished session of the participant is saved,
+   * or the instructions.
+   * @param {string} num Participant number
+   * @param {string} age Age as entered
+   * @param {number} seed Seed of the session
+   * @param {Object} ids IDs read from the URL by readUrlIds
+   */
+  function startSession(num, age, seed, ids) {
+    p.participant.number = num;
+    p.participant.age = age;
+    p.participant.study_id = ids.study;
+    p.participant.session_id = ids.session;
+    p.seed = seed;
+    p.counterbalancing = assignResponseMapping(num, config.counterbalance);
+    const saved = loadProgress(num);
+    if (saved) {
+      showResumePrompt(saved);
+      return;
+    }
+    buildDesign(seed);
+    showInstructions();
+  }
 
   /**
    * Display the demographic form asking for participant number and age.
    * Once the participant clicks start and the inputs are valid, the
-   * experiment proceeds to the instruction screens.
+   * experiment proceeds to the instruction screens.  A participant ID
+   * passed in the URL (see url_params) fills in the participant number,
+   * and with `url_params.skip_form` the form is skipped altogether.
    */
   function showDemographicForm() {
+    const ids = readUrlIds(window.location.search, config.url_params,
+      (window.jatos && window.jatos.urlQueryParameters) || {});
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (ids.participant && config.url_params.skip_form) {
+      const seed = designFile ? designFile.seed : (urlSeed ? parseSeed(urlSeed) : generateSeed());
+      if (seed === null) {
+        showBlockingErrors('The seed in the URL is invalid',
+          ['The seed must be a whole number between 0 and 4294967295.']);
+        return;
+      }
+      startSession(ids.participant, '', seed, ids);
+      return;
+    }
     const container = document.getElementById('experiment');
     container.innerHTML = '';
     const formDiv = document.createElement('div');
@@ -684,12 +1378,28 @@
     const inputNumber = document.createElement('input');
     inputNumber.type = 'text';
     inputNumber.required = true;
+    if (ids.participant) {
+      inputNumber.value = ids.participant;
+      inputNumber.readOnly = true;
+    }
     const label2 = document.createElement('label');
     label2.textContent = 'Age:';
     const inputAge = document.createElement('input');
     inputAge.type = 'number';
     inputAge.min = '1';
     inputAge.required = true;
+    // The seed can be fixed from the URL (?seed=123) or typed in here to
+    // rerun a logged session; left empty, a fresh seed is drawn.
+    const label3 = document.createElement('label');
+    label3.textContent = 'Seed (optional):';
+    const inputSeed = document.createElement('input');
+    inputSeed.type = 'text';
+    inputSeed.value = urlSeed || '';
+    // A design file fixes the trial list and with it the seed
+    if (designFile) {
+      inputSeed.value = String(designFile.seed);
+      inputSeed.disabled = true;
+    }
     const startBtn = document.createElement('button');
     startBtn.textContent = 'Start';
     startBtn.addEventListener('click', () => {
@@ -699,18 +1409,116 @@
         alert('Please enter a valid participant number and age.');
         return;
       }
-      p.participant.number = num;
-      p.participant.age = age;
-      showInstructions();
+      const seedText = inputSeed.value.trim();
+      const seed = seedText ? parseSeed(seedText) : generateSeed();
+      if (seed === null) {
+        alert('The seed must be a whole number between 0 and 4294967295.');
+        return;
+      }
+      startSession(num, age, seed, ids);
     });
     formDiv.appendChild(label1);
     formDiv.appendChild(inputNumber);
     formDiv.appendChild(label2);
     formDiv.appendChild(inputAge);
+    formDiv.appendChild(label3);
+    formDiv.appendChild(inputSeed);
     formDiv.appendChild(startBtn);
     container.appendChild(formDiv);
   }
 
+  // Retries offered for images that failed to load before the task goes
+  // on without them
+  const IMAGE_RETRY_LIMIT = 3;
+
+  /**
+   * Preload images while a progress bar with the percentage, the number of
+   * images loaded and an estimate of the time left is shown.  This
+   * prevents network latency or caching issues from interrupting the
+   * presentation of stimuli during the experiment.  If images fail or time
+   * out, the participant can retry them up to IMAGE_RETRY_LIMIT times;
+   * after that the task continues without them, showing placeholders that
+   * the trials record in image_error.  Nothing is shown if all images are
+   * cached.
+   * @param {Array<string>} paths Images to load
+   */
+  async function loadImages(paths) {
+    const container = document.getElementById('experiment');
+    paths = paths.filter(path => !IMAGE_CACHE[path]);
+    for (let retries = 0; paths.length; retries++) {
+      container.innerHTML = '';
+      const loadingDiv = document.createElement('div');
+      loadingDiv.className = 'loading';
+      const text = document.createElement('div');
+      text.textContent = 'Loading images, please wait...';
+      const bar = document.createElement('div');
+      bar.className = 'progress-bar';
+      const fill = document.createElement('div');
+      fill.className = 'progress-fill';
+      bar.appendChild(fill);
+      const status = document.createElement('div');
+      status.className = 'progress-status';
+      loadingDiv.appendChild(text);
+      loadingDiv.appendChild(bar);
+      loadingDiv.appendChild(status);
+      container.appendChild(loadingDiv);
+      const start = performance.now();
+      const { failed } = await preloadImages((loaded, total) => {
+        const percent = Math.round(100 * loaded / total);
+        fill.style.width = `${percent}%`;
+        // Time left assuming the remaining images load at the rate so far
+        const secondsLeft = Math.ceil((performance.now() - start) / loaded * (total - loaded) / 1000);
+        status.textContent = `${percent}% (${loaded} of ${total} images)` +
+          (loaded < total ? `, about ${secondsLeft} s left` : '');
+      }, paths);
+      container.innerHTML = '';
+      if (!failed.length) break;
+      // Offer to retry only the images that failed, then to go on without
+      // them
+      paths = failed;
+      const giveUp = retries >= IMAGE_RETRY_LIMIT;
+      const images = `${failed.length} image${failed.length === 1 ? '' : 's'}`;
+      await new Promise(resolve => {
+        container.innerHTML = '';
+        const div = document.createElement('div');
+        div.className = 'error-screen';
+        const message = document.createElement('p');
+        message.textContent = giveUp
+          ? `${images} still could not be loaded. The task continues with blank spaces in their place; ` +
+            'please let the experimenter know.'
+          : `${images} could not be loaded. ` +
+            'Please check your internet connection and try again. If the problem persists, contact the experimenter.';
+        const button = document.createElement('button');
+        button.textContent = giveUp ? 'Continue without them' : 'Retry';
+        button.addEventListener('click', resolve);
+        div.appendChild(message);
+        div.appendChild(button);
+        container.appendChild(div);
+      });
+      if (giveUp) {
+        logEvent('images_skipped', failed);
+        container.innerHTML = '';
+        break;
+      }
+    }
+  }
+
+  /**
+   * Show a text screen and wait for the participant to press Enter.
+   * @param {string} html Message to display (may contain markup)
+   * @returns {Promise<void>} Resolves once Enter has been pressed
+   */
+  async function showMessage(html) {
+    const container = document.getElementById('experiment');
+    container.innerHTML = '';
+    const div = document.createElement('div');
+    div.className = 'instructions';
+    div.innerHTML = html;
+    container.appendChild(div);
+    await waitForKey(['Enter', 'Return'], container);
+    container.innerHTML = '';
+  }
+
   /**
    * Sequentially present the three instruction screens.  Each screen
    * waits for the participant to press the Enter key before moving on.
@@ -718,26 +1526,17 @@
    */
   async function showInstructions() {
     const container = document.getElementById('experiment');
-    container.innerHTML = '';
-    // Before showing any instructions we preload all images.  This
-    // prevents network latency or caching issues from interrupting the
-    // presentation of stimuli during the experiment.  Display a
-    // temporary loading message while the images are being fetched.
-    const loadingDiv = document.createElement('div');
-    loadingDiv.className = 'loading';
-    loadingDiv.textContent = 'Loading images, please wait...';
-    container.appendChild(loadingDiv);
-    // Await completion of the preloader.  If desired you could
-    // implement a progress bar by passing a callback to preloadImages.
-    await preloadImages();
-    // Once preloading is complete, clear the loading message.
-    container.innerHTML = '';
+    // Before showing any instructions we preload their images, then fetch
+    // the first block of trials in the background while they are read.
+    await loadImages(INSTRUCTION_IMAGES);
+    preloadImages(null, blockImagePaths(0));
+    if (config.visual_angle.enabled) await showCalibration();
     // Instruction 1
     const instr1 = document.createElement('div');
     instr1.className = 'instructions';
     instr1.innerHTML = `This is a visual working memory task. This task will take approximately 30–40 minutes. You will have to remember the objects and report which one was shown in the previous set of objects as accurately as possible.<br><br>Press Enter to continue.`;
     container.appendChild(instr1);
-    await waitForKey(['Enter', 'Return']);
+    await waitForKey(['Enter', 'Return'], container);
     // Instruction 2 with image
     container.innerHTML = '';
     const instr2 = document.createElement('div');
@@ -755,12 +1554,12 @@
     container.appendChild(instr2);
     container.appendChild(img1);
     container.appendChild(prompt1);
-    await waitForKey(['Enter', 'Return']);
+    await waitForKey(['Enter', 'Return'], container);
     // Instruction 3 with second image
     container.innerHTML = '';
     const instr3 = document.createElement('div');
     instr3.className = 'instructions';
-    instr3.innerHTML = `Next, you will have to choose which object was shown in the previous set of objects.`;
+    instr3.innerHTML = `Next, you will have to choose which object was shown in the previous set of objects. Press the key shown below the object you choose, or click or tap the object.`;
     const img2 = document.createElement('img');
     img2.src = 'instr2.png';
     img2.style.maxWidth = '80%';
@@ -773,22 +1572,167 @@
     container.appendChild(instr3);
     container.appendChild(img2);
     container.appendChild(prompt2);
-    await waitForKey(['Enter', 'Return']);
+    await waitForKey(['Enter', 'Return'], container);
+    await ensureFullscreen();
+    if (config.practice.enabled && !(await runPractice())) return;
     // Start the trials
     await runTrials();
   }
 
+  // Width of an ID-1 card (credit card, bank card, driving licence) in cm
+  const CARD_WIDTH_CM = 8.56;
+  const CARD_HEIGHT_CM = 5.398;
+
+  /**
+   * Let the participant match an on-screen rectangle to a credit card to
+   * measure the pixels per cm of their screen, and enter their viewing
+   * distance.  The result is stored in `p.calibration`.
+   * @returns {Promise<void>} Resolves once the calibration is confirmed
+   */
+  function showCalibration() {
+    const settings = config.visual_angle;
+    const container = document.getElementById('experiment');
+    container.innerHTML = '';
+    return new Promise(resolve => {
+      const div = document.createElement('div');
+      div.className = 'form-container calibration';
+      const text = document.createElement('div');
+      text.className = 'instructions';
+      text.textContent = 'Hold a credit card (or any card of the same size) flat against the screen ' +
+        'and move the slider until the rectangle below is exactly as wide as the card.';
+      const card = document.createElement('div');
+      card.className = 'calibration-card';
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = '100';
+      slider.max = '1000';
+      // 96 CSS px per inch is the nominal resolution browsers assume
+      slider.value = String(Math.round(CARD_WIDTH_CM / 2.54 * 96));
+      const resize = () => {
+        const width = Number(slider.value);
+        card.style.width = `${width}px`;
+        card.style.height = `${width * CARD_HEIGHT_CM / CARD_WIDTH_CM}px`;
+      };
+      slider.addEventListener('input', resize);
+      resize();
+      const label = document.createElement('label');
+      label.textContent = 'How far are your eyes from the screen, in cm?';
+      const inputDistance = document.createElement('input');
+      inputDistance.type = 'number';
+      inputDistance.min = '20';
+      inputDistance.max = '300';
+      inputDistance.value = String(settings.default_distance_cm);
+      const continueBtn = document.createElement('button');
+      continueBtn.textContent = 'Continue';
+      continueBtn.addEventListener('click', () => {
+        const distance = parseFloat(inputDistance.value);
+        if (!(distance >= 20 && distance <= 300)) {
+          alert('Please enter a viewing distance between 20 and 300 cm.');
+          return;
+        }
+        const cardWidth = Number(slider.value);
+        const pxPerCm = cardWidth / CARD_WIDTH_CM;
+        p.calibration = {
+          card_width_px: cardWidth,
+          px_per_cm: pxPerCm,
+          viewing_distance_cm: distance,
+          // Pixels per degree at the centre of the screen
+          px_per_deg: 2 * distance * Math.tan(Math.PI / 360) * pxPerCm,
+          window_width: window.innerWidth,
+          window_height: window.innerHeight,
+          device_pixel_ratio: window.devicePixelRatio,
+          measured_at: new Date().toISOString()
+        };
+        container.innerHTML = '';
+        resolve();
+      });
+      div.appendChild(text);
+      div.appendChild(card);
+      div.appendChild(slider);
+      div.appendChild(label);
+      div.appendChild(inputDistance);
+      div.appendChild(continueBtn);
+      container.appendChild(div);
+    });
+  }
+
+  /**
+   * Convert the width of an object centred on fixation from degrees of
+   * visual angle to CSS pixels, using `p.calibration`.
+   * @param {number} deg Visual angle in degrees
+   * @returns {number} Width in pixels
+   */
+  function sizeToPx(deg) {
+    const cal = p.calibration;
+    return 2 * cal.viewing_distance_cm * Math.tan(deg * Math.PI / 360) * cal.px_per_cm;
+  }
+
+  /**
+   * Convert an eccentricity (angle between fixation and a point) from
+   * degrees of visual angle to its distance from the screen centre in CSS
+   * pixels, using `p.calibration`.
+   * @param {number} deg Eccentricity in degrees
+   * @returns {number} Distance in pixels
+   */
+  function eccentricityToPx(deg) {
+    const cal = p.calibration;
+    return cal.viewing_distance_cm * Math.tan(deg * Math.PI / 180) * cal.px_per_cm;
+  }
+
+  /**
+   * CSS position of a point given its offset from the screen centre in
+   * pixels (y pointing up).
+   * @param {number} x Horizontal offset
+   * @param {number} y Vertical offset
+   * @returns {{top: string, left: string}} Absolute position in pixels
+   */
+  function centreOffsetToCss(x, y) {
+    return { top: `${window.innerHeight / 2 - y}px`, left: `${window.innerWidth / 2 + x}px` };
+  }
+
+  /**
+   * Width of the memory array images of a set size: a fixed visual angle
+   * after calibration, otherwise a fraction of the window width.
+   * @param {string} ss The set size (e.g. 'size2')
+   * @returns {string} CSS width
+   */
+  function stimulusWidth(ss) {
+    if (p.calibration) {
+      return `${sizeToPx(config.visual_angle.stimulus_size_deg[ss])}px`;
+    }
+    // Set size relative to number of stimuli
+    const nStim = parseInt(ss.slice(4), 10);
+    let widthPerc = 20;
+    if (nStim <= 2) widthPerc = 20;
+    else if (nStim <= 4) widthPerc = 15;
+    else widthPerc = 12;
+    return `${widthPerc}%`;
+  }
+
   /**
    * Compute pixel positions for stimuli based on set size and randomised
    * ordering.  The returned array contains objects with CSS percentage
    * values for top and left so that elements can be positioned using
    * absolute positioning.  This uses the same relative offsets as the
-   * PsychoPy script but scales them to the current viewport.
+   * PsychoPy script but scales them to the current viewport.  After
+   * calibration the stimuli are instead spaced evenly on a circle at
+   * `visual_angle.eccentricity_deg` around fixation, in pixels.
    * @param {string} ss The set size (e.g. 'size2')
    * @param {Array<number>} order Array of indices indicating the random order
    * @returns {Array<{top: string, left: string}>} Positions for each stimulus
    */
   function computePositions(ss, order) {
+    if (p.calibration) {
+      const n = parseInt(ss.slice(4), 10);
+      const radius = eccentricityToPx(config.visual_angle.eccentricity_deg);
+      // Multiples of four items start on the diagonals like the size4
+      // layout, other set sizes on the horizontal meridian
+      const start = n % 4 === 0 ? Math.PI / n : 0;
+      return order.map(idx => {
+        const angle = start + (2 * Math.PI * idx) / n;
+        return centreOffsetToCss(radius * Math.cos(angle), radius * Math.sin(angle));
+      });
+    }
     const positions = [];
     const w = window.innerWidth;
     const h = window.innerHeight;
@@ -813,7 +1757,13 @@
         { x: -0.6 * w / 2, y: 0 }
       ]
     };
-    const posArray = base[ss];
+    // Set sizes without a hand-tuned layout are spread evenly around an
+    // ellipse as wide as the size2 layout and as tall as the size4 layout
+    const n = parseInt(ss.slice(4), 10);
+    const posArray = base[ss] || Array.from({ length: n }, (_, k) => {
+      const angle = Math.PI / 2 - (2 * Math.PI * k) / n;
+      return { x: 0.5 * w / 2 * Math.cos(angle), y: 0.5 * h / 2 * Math.sin(angle) };
+    });
     for (let i = 0; i < order.length; i++) {
       const idx = order[i];
       const off = posArray[idx];
@@ -825,247 +1775,1012 @@
   }
 
   /**
-   * Compute positions for the 4AFC images.  Returns an array of CSS
-   * positions matching the four quadrants defined in the original code.
-   * @returns {Array<{top: string, left: string}>} Positions for the 4AFC
+   * Compute positions for the 4AFC images.  Returns the CSS position of
+   * each quadrant, in the slot order of the given layout, together with
+   * the position of the key label below the image.  After calibration the
+   * images sit on the diagonals at `visual_angle.afc_eccentricity_deg`.
+   * @param {Array<string>} slotQuadrants Quadrant of every 4AFC slot
+   * @returns {Array<{top: string, left: string, labelTop: string}>}
+   *   Positions for the 4AFC
    */
-  function computeAfcPositions() {
+  function computeAfcPositions(slotQuadrants) {
+    if (p.calibration) {
+      const settings = config.visual_angle;
+      const offset = eccentricityToPx(settings.afc_eccentricity_deg) / Math.SQRT2;
+      // Label just below the lower edge of a square image
+      const labelOffset = sizeToPx(settings.afc_size_deg) / 2 + 16;
+      return slotQuadrants.map(quadrant => {
+        const x = quadrant.endsWith('left') ? -offset : offset;
+        const y = quadrant.startsWith('top') ? offset : -offset;
+        const pos = centreOffsetToCss(x, y);
+        pos.labelTop = centreOffsetToCss(x, y - labelOffset).top;
+        return pos;
+      });
+    }
     const w = window.innerWidth;
     const h = window.innerHeight;
-    const base = [
-      { x: -0.5 * w / 2, y: 0.5 * h / 2 },
-      { x: -0.5 * w / 2, y: -0.5 * h / 2 },
-      { x: 0.5 * w / 2, y: 0.5 * h / 2 },
-      { x: 0.5 * w / 2, y: -0.5 * h / 2 }
-    ];
-    return base.map(off => {
+    const base = {
+      top_left: { x: -0.5 * w / 2, y: 0.5 * h / 2 },
+      bottom_left: { x: -0.5 * w / 2, y: -0.5 * h / 2 },
+      top_right: { x: 0.5 * w / 2, y: 0.5 * h / 2 },
+      bottom_right: { x: 0.5 * w / 2, y: -0.5 * h / 2 }
+    };
+    return slotQuadrants.map(quadrant => {
+      const off = base[quadrant];
       const left = 50 + (off.x / w) * 100;
       const top = 50 - (off.y / h) * 100;
-      return { top: `${top}%`, left: `${left}%` };
+      // Place label slightly below the image
+      return { top: `${top}%`, left: `${left}%`, labelTop: `${top + 6}%` };
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Renderers
+  // A display is described as a list of items positioned by their centre
+  // with CSS lengths relative to the experiment container:
+  //   { kind: 'text', className, text, left, top }
+  //   { kind: 'image', className, path, width, left, top, slot, highlight }
+  // where `slot` numbers the 4AFC images and `highlight` frames an image.
+  // A renderer builds a display from its items ahead of time and returns
+  // { render, slotAt }: `render` puts it on screen and is called inside a
+  // requestAnimationFrame callback, and `slotAt(event)` gives the slot of
+  // the 4AFC image under a pointer event (-1 if none).  The 'dom' renderer
+  // swaps in absolutely positioned elements; the 'canvas' renderer draws
+  // every item on one <canvas>.
+  // RENDERERS in design.js lists the names accepted by the configuration.
+
+  // Fonts of the text items on the canvas, matching style.css at the
+  // default root font size of 16px
+  const CANVAS_FONTS = {
+    'fixation': '64px Arial, Helvetica, sans-serif',
+    'afc-label': '16px Arial, Helvetica, sans-serif',
+    'catch-instruction': 'bold 24px Arial, Helvetica, sans-serif'
+  };
+
   /**
-   * Run through all trials sequentially.  For each trial a fixation cross
-   * is shown, then the stimuli are presented for the encoding duration,
-   * followed by another fixation and then a 4AFC response screen.  Results
-   * are recorded into the global `p` object.  When all trials complete
-   * the finish screen is displayed.
+   * Create the renderer selected by `config.renderer`.
+   * @param {string} type 'dom' or 'canvas'
+   * @param {HTMLElement} container Element the displays are shown in
+   * @param {Array<string>} missing Paths of images missing from the cache,
+   *   appended to as displays are built
+   * @returns {{build: Function}} Renderer building displays from items
    */
-  async function runTrials() {
-    const container = document.getElementById('experiment');
-    // Precompute AFC positions once
-    const afcPositions = computeAfcPositions();
-    for (let i = 0; i < conditions.length; i++) {
-      const [ss, et, ctx, cat] = conditions[i];
-      const id = randId[i];
-      // Store trial metadata
-      p.task.trial.push(i);
-      p.task.condition.push([ss, et, ctx, cat]);
-      p.task.set_size.push(ss);
-      p.task.encoding_time.push(et);
-      p.task.context.push(ctx);
-      p.task.category.push(cat);
-      // Instead of storing only the numeric id for each trial, we also
-      // record the actual stimulus categories used.  The stimCategory
-      // variable contains the category (or categories) associated with
-      // each stimulus in the current trial.  Storing this array allows
-      // downstream analyses to recover which categories were presented
-      // on each trial, especially in unrelated conditions where multiple
-      // categories can appear.  We push a shallow copy of the array to
-      // avoid unintended mutations when the original array is reused.
-      
-      // Determine chosen objects and states
-      let chosenObj = [];
-      let chosenState = [];
-      let stimCategory = [];
-      if (ctx === 'related') {
-        chosenObj = stimulusDict[ss].related[cat].stimulus[id].slice();
-        chosenState = stimulusDict[ss].related[cat].state[id].slice();
-        stimCategory = stimulusDict[ss].related[cat].category[id].slice();
-      } else {
-        chosenObj = stimulusDict[ss].unrelated[cat].stimulus[id].slice();
-        chosenState = stimulusDict[ss].unrelated[cat].state[id].slice();
-        stimCategory = stimulusDict[ss].unrelated[cat].category[id].slice();
+  function createRenderer(type, container, missing) {
+    return type === 'canvas' ? createCanvasRenderer(container, missing) : createDomRenderer(container, missing);
+  }
+
+  /**
+   * Renderer that shows every item as an absolutely positioned element.
+   * @param {HTMLElement} container Element the displays are shown in
+   * @param {Array<string>} missing Paths of missing images, appended to
+   * @returns {{build: Function}} The renderer
+   */
+  function createDomRenderer(container, missing) {
+    return {
+      build(items) {
+        const slots = [];
+        const elements = items.map(item => {
+          let el;
+          if (item.kind === 'image') {
+            el = cachedImage(item.path, item.className, missing);
+            el.style.width = item.width;
+            if (item.highlight) el.classList.add('catch-target');
+            if (item.slot !== undefined) slots[item.slot] = el;
+          } else {
+            el = document.createElement('div');
+            el.className = item.className;
+            el.textContent = item.text;
+          }
+          el.style.position = 'absolute';
+          el.style.left = item.left;
+          el.style.top = item.top;
+          el.style.transform = 'translate(-50%, -50%)';
+          return el;
+        });
+        return {
+          render: () => container.replaceChildren(...elements),
+          slotAt: event => slots.indexOf(event.target)
+        };
       }
-      // Save objects and states
-      p.task.obj.push(chosenObj.slice());
-      p.task.state.push(chosenState.slice());
-      p.task.stimuli_category.push(stimCategory.slice());
-      // Compute file names for each stimulus
-      const stimuliPaths = [];
-      for (let j = 0; j < chosenObj.length; j++) {
-        const categoryName = (ctx === 'related') ? cat : stimCategory[j];
-        const stim = `${categoryName}/${chosenObj[j]}_${chosenState[j]}`;
-        stimuliPaths.push(stim);
+    };
+  }
+
+  /**
+   * Convert a CSS length in % or px to pixels.
+   * @param {string} length CSS length
+   * @param {number} extent Size of the container along the same axis
+   * @returns {number} Length in pixels
+   */
+  function cssToPx(length, extent) {
+    return length.endsWith('%') ? parseFloat(length) / 100 * extent : parseFloat(length);
+  }
+
+  /**
+   * Renderer that draws each display onto a single full-window canvas,
+   * at the resolution of the device, in one frame.  Missing images are
+   * drawn as grey squares.
+   * @param {HTMLElement} container Element the displays are shown in
+   * @param {Array<string>} missing Paths of missing images, appended to
+   * @returns {{build: Function}} The renderer
+   */
+  function createCanvasRenderer(container, missing) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'display-canvas';
+    return {
+      build(items) {
+        const images = items.map(item => {
+          if (item.kind !== 'image') return null;
+          const image = IMAGE_CACHE[item.path];
+          if (!image) {
+            console.error('Image missing from the cache:', item.path);
+            missing.push(item.path);
+          }
+          return image || null;
+        });
+        // Bounding boxes of the 4AFC images as drawn, by slot
+        const slots = [];
+        function render() {
+          const w = window.innerWidth;
+          const h = window.innerHeight;
+          const ratio = window.devicePixelRatio || 1;
+          if (canvas.parentNode !== container || container.children.length !== 1) {
+            container.replaceChildren(canvas);
+          }
+          if (canvas.width !== Math.round(w * ratio) || canvas.height !== Math.round(h * ratio)) {
+            canvas.width = Math.round(w * ratio);
+            canvas.height = Math.round(h * ratio);
+          }
+          const ctx = canvas.getContext('2d');
+          ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+          ctx.fillStyle = '#ffffff';
+          ctx.fillRect(0, 0, w, h);
+          ctx.fillStyle = '#000000';
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          items.forEach((item, k) => {
+            const x = cssToPx(item.left, w);
+            const y = cssToPx(item.top, h);
+            if (item.kind === 'text') {
+              ctx.font = CANVAS_FONTS[item.className];
+              ctx.fillText(item.text, x, y);
+              return;
+            }
+            const image = images[k];
+            const width = cssToPx(item.width, w);
+            const height = image ? width * image.naturalHeight / image.naturalWidth : width;
+            const box = { left: x - width / 2, top: y - height / 2, width, height };
+            if (image) {
+              ctx.drawImage(image, box.left, box.top, width, height);
+            } else {
+              ctx.fillStyle = '#d0d0d0';
+              ctx.fillRect(box.left, box.top, width, height);
+              ctx.fillStyle = '#000000';
+            }
+            if (item.highlight) {
+              // Same frame as the catch-target outline of the DOM renderer
+              ctx.lineWidth = 4;
+              ctx.strokeRect(box.left - 6, box.top - 6, width + 12, height + 12);
+            }
+            if (item.slot !== undefined) slots[item.slot] = box;
+          });
+        }
+        function slotAt(event) {
+          if (event.target !== canvas) return -1;
+          const rect = canvas.getBoundingClientRect();
+          const x = event.clientX - rect.left;
+          const y = event.clientY - rect.top;
+          return slots.findIndex(box => box && x >= box.left && x <= box.left + box.width &&
+            y >= box.top && y <= box.top + box.height);
+        }
+        return { render, slotAt };
       }
-      // Randomise stimulus positions
-      const nStim = parseInt(ss.slice(4), 10);
-      const posOrder = shuffle([...Array(nStim).keys()]);
-      p.task.stimulus_loc.push(posOrder.slice());
-      // Compute positions
-      const positions = computePositions(ss, posOrder);
-      // Phase 1: fixation cross (1 second)
-      container.innerHTML = '';
-      const fix = document.createElement('div');
-      fix.className = 'fixation';
-      fix.textContent = '+';
-      container.appendChild(fix);
-      await sleep(1000);
-      // Phase 2: show stimuli
-      container.innerHTML = '';
-      const stimElems = [];
-      for (let j = 0; j < nStim; j++) {
-        const img = document.createElement('img');
-        img.className = 'stimulus-img';
-        img.src = `stimuli_folder/${ss}/${stimuliPaths[j]}.jpg`;
-        // Set size relative to number of stimuli
-        let widthPerc = 20;
-        if (ss === 'size2') widthPerc = 20;
-        else if (ss === 'size4') widthPerc = 15;
-        else if (ss === 'size6') widthPerc = 12;
-        img.style.width = `${widthPerc}%`;
-        img.style.left = positions[j].left;
-        img.style.top = positions[j].top;
-        img.style.transform = 'translate(-50%, -50%)';
-        img.style.position = 'absolute';
-        stimElems.push(img);
-        container.appendChild(img);
+    };
+  }
+
+  // Physical response keys (KeyboardEvent.code), so the mapping does not
+  // depend on the keyboard layout, and the characters these keys carry on a
+  // US keyboard, which label the 4AFC items and are stored as response_key
+  const RESPONSE_CODES = ['KeyA', 'KeyZ', 'Quote', 'Slash'];
+  const RESPONSE_KEYS = ['a', 'z', "'", '/'];
+
+  // Quadrants of the four 4AFC slots.  runTrial places one pair (match or
+  // foil) in slots 0 and 1 and the other in slots 2 and 3, so the 'columns'
+  // layout shows each pair on one side of the screen and 'rows' shows each
+  // pair above or below the centre.
+  const AFC_LAYOUTS = {
+    columns: ['top_left', 'bottom_left', 'top_right', 'bottom_right'],
+    rows: ['top_left', 'top_right', 'bottom_left', 'bottom_right']
+  };
+
+  /**
+   * Build a balanced Latin square (Williams design) of size n: every item
+   * appears once in every row and column, and for even n every item
+   * follows every other item exactly once.
+   * @param {number} n Number of items
+   * @returns {Array<Array<number>>} n rows of item indices
+   */
+  function balancedLatinSquare(n) {
+    const first = [];
+    for (let k = 0, lo = 0, hi = n - 1; k < n; k++) {
+      first.push(k % 2 === 0 ? lo++ : hi--);
+    }
+    return first.map((_, row) => first.map(item => (item + row) % n));
+  }
+
+  /**
+   * Turn a participant number into a non-negative counterbalancing index.
+   * The digits of the number are used; numbers without digits fall back to
+   * the sum of their character codes.
+   * @param {string} number Participant number as entered in the form
+   * @returns {number} Counterbalancing index
+   */
+  function counterbalanceIndex(number) {
+    const digits = String(number).replace(/\D/g, '');
+    if (digits) return parseInt(digits.slice(-9), 10);
+    return [...String(number)].reduce((sum, c) => sum + c.charCodeAt(0), 0);
+  }
+
+  /**
+   * Assign the response keys to the 4AFC quadrants, and optionally the
+   * layout of the slots, for one participant.  The key assignment is the
+   * row of a balanced Latin square over AFC_QUADRANTS given by the
+   * participant's counterbalancing index; with layout counterbalancing,
+   * the layout alternates every full cycle of rows.  Without key
+   * counterbalancing every participant gets the original mapping, in which
+   * the keys follow AFC_QUADRANTS in order, and `row` is null.
+   * @param {string} number Participant number
+   * @param {Object} settings `config.counterbalance`
+   * @returns {Object} { index, row, layout, slot_quadrants, quadrant_keys }
+   */
+  function assignResponseMapping(number, settings) {
+    const square = balancedLatinSquare(AFC_QUADRANTS.length);
+    const index = counterbalanceIndex(number);
+    const row = settings.keys ? index % square.length : null;
+    const layouts = Object.keys(AFC_LAYOUTS);
+    const layout = settings.layout ? layouts[Math.floor(index / square.length) % layouts.length] : 'columns';
+    const quadrantKeys = {};
+    AFC_QUADRANTS.forEach((quadrant, q) => {
+      quadrantKeys[quadrant] = RESPONSE_KEYS[row === null ? q : square[row][q]];
+    });
+    return {
+      index,
+      row,
+      layout,
+      slot_quadrants: AFC_LAYOUTS[layout].slice(),
+      quadrant_keys: quadrantKeys
+    };
+  }
+
+  /**
+   * Look up the stimuli of a trial in a stimulus dictionary: the objects,
+   * states and categories of the memory array with their image paths, and
+   * the category and object pairs of the 4AFC display with the image path
+   * of every 4AFC item.  The match items show the critical (first) object
+   * in its studied and its other state, the foils the foil object in both
+   * states.
+   * @param {Object} trial Trial of the form { condition, id }
+   * @param {Object} design Stimulus dictionary to draw the stimuli from
+   * @returns {Object} { objects, states, categories, paths, afcCat,
+   *   afcStim, afc: { match_target, match_obj, foil_1, foil_2 } }
+   */
+  function trialStimuli(trial, design) {
+    const [ss, , ctx, cat] = trial.condition;
+    const cell = design[ss][ctx][cat];
+    const id = trial.id;
+    const objects = cell.stimulus[id].slice();
+    const states = cell.state[id].slice();
+    const categories = cell.category[id].slice();
+    const paths = objects.map((obj, j) => {
+      const categoryName = (ctx === 'related') ? cat : categories[j];
+      return stimulusPath(ss, categoryName, obj, states[j]);
+    });
+    const afcCat = cell.afc_cat[id];
+    const afcStim = cell.afc_stim[id];
+    const otherState = states[0] === 's1' ? 's2' : 's1';
+    return {
+      objects,
+      states,
+      categories,
+      paths,
+      afcCat,
+      afcStim,
+      afc: {
+        match_target: stimulusPath(ss, afcCat[0], afcStim[0], states[0]),
+        match_obj: stimulusPath(ss, afcCat[0], afcStim[0], otherState),
+        foil_1: stimulusPath(ss, afcCat[1], afcStim[1], 's1'),
+        foil_2: stimulusPath(ss, afcCat[1], afcStim[1], 's2')
       }
-      // Show for encoding time
-      await sleep(et * 1000);
-      // Phase 3: fixation cross again (1 second)
-      container.innerHTML = '';
-      const fix2 = document.createElement('div');
-      fix2.className = 'fixation';
-      fix2.textContent = '+';
-      container.appendChild(fix2);
-      await sleep(1000);
-      // Phase 4: 4AFC
-      container.innerHTML = '';
-      // Determine afc_cat and afc_stim pairs
-      const afcCatPair = (ctx === 'related') ? stimulusDict[ss].related[cat].afc_cat[id] : stimulusDict[ss].unrelated[cat].afc_cat[id];
-      const afcStimPair = (ctx === 'related') ? stimulusDict[ss].related[cat].afc_stim[id] : stimulusDict[ss].unrelated[cat].afc_stim[id];
-      // Build match and foil stimuli
-      const chosenState0 = chosenState[0];
-      const otherState = chosenState0 === 's1' ? 's2' : 's1';
-      const matchTarget = `${afcCatPair[0]}/${afcStimPair[0]}_${chosenState0}`;
-      const matchObj = `${afcCatPair[0]}/${afcStimPair[0]}_${otherState}`;
-      const foil1 = `${afcCatPair[1]}/${afcStimPair[1]}_s1`;
-      const foil2 = `${afcCatPair[1]}/${afcStimPair[1]}_s2`;
-      const afcStimuli = {
-        match_target: matchTarget,
-        match_obj: matchObj,
-        foil_1: foil1,
-        foil_2: foil2
-      };
-      // Randomise order while keeping pairs together
-      let matchPair = ['match_target', 'match_obj'];
-      let foilPair = ['foil_1', 'foil_2'];
-      matchPair = shuffle(matchPair);
-      foilPair = shuffle(foilPair);
-      const pairs = [matchPair, foilPair];
-      shuffle(pairs);
-      const afcOrder = pairs.flat();
-      p.task.afc_loc.push(afcOrder.slice());
-      p.task.afc_cat.push(afcCatPair.slice());
-      p.task.afc_stim.push(afcStimPair.slice());
-      // Create 4AFC images and labels
-      const keyMap = ['a', 'z', "'", '/'];
-      const afcDivs = [];
-      for (let pos = 0; pos < 4; pos++) {
-        const stimType = afcOrder[pos];
-        const stimPath = `stimuli_folder/${ss}/${afcStimuli[stimType]}.jpg`;
-        // Image
-        const img = document.createElement('img');
-        img.className = 'afc-img';
-        img.src = stimPath;
-        img.style.left = afcPositions[pos].left;
-        img.style.top = afcPositions[pos].top;
-        img.style.transform = 'translate(-50%, -50%)';
-        container.appendChild(img);
-        // Key label
-        const label = document.createElement('div');
-        label.className = 'afc-label';
-        label.textContent = `Press ${keyMap[pos]}`;
-        label.style.left = afcPositions[pos].left;
-        // Place label slightly below the image
-        const offsetY = parseFloat(afcPositions[pos].top);
-        label.style.top = `${offsetY + 6}%`;
-        label.style.transform = 'translate(-50%, -50%)';
-        container.appendChild(label);
-        afcDivs.push({ img, label });
+    };
+  }
+
+  /**
+   * List the distinct images shown in a set of trials.
+   * @param {Array<Object>} trials Trials of the form { condition, id }
+   * @param {Object} design Stimulus dictionary to draw the stimuli from
+   * @returns {Array<string>} Image paths
+   */
+  function trialImagePaths(trials, design) {
+    const paths = new Set();
+    trials.forEach(trial => {
+      const stimuli = trialStimuli(trial, design);
+      stimuli.paths.concat(Object.values(stimuli.afc)).forEach(path => paths.add(path));
+    });
+    return [...paths];
+  }
+
+  /**
+   * Run a single trial.  A fixation cross is shown, then the stimuli are
+   * presented for the encoding duration, followed by another fixation and
+   * then a 4AFC response screen.  Display changes are locked to animation
+   * frames and their onsets logged.  If fullscreen is required and was
+   * left, the trial waits until it is restored.  The trial is recorded into
+   * `data`, which is `p.task` for experimental trials and `p.practice` for
+   * practice.
+   * @param {Object} trial Trial to run: { index, condition, id } with the
+   *   `catchType` of catch trials and, from a design file, its `layout`
+   * @param {Object} design Stimulus dictionary to draw the stimuli from
+   * @param {Object} data Column-oriented trial record to append to
+   * @param {Function} trialRng Random number generator of this trial,
+   *   which draws its layout unless the trial brings one
+   * @returns {Promise<Object|null>} The response type and correctness, or
+   *   null if the participant aborted the session.  If the response deadline
+   *   passed the response is 'timeout' and correctness is null.
+   */
+  async function runTrial(trial, design, data, trialRng) {
+    await ensureFullscreen();
+    currentTrial = { phase: data === p.practice ? 'practice' : 'task', index: trial.index };
+    const container = document.getElementById('experiment');
+    const mapping = p.counterbalancing;
+    const afcPositions = computeAfcPositions(mapping.slot_quadrants);
+    // Response key of every slot under this participant's mapping
+    const slotKeys = mapping.slot_quadrants.map(quadrant => mapping.quadrant_keys[quadrant]);
+    const [ss, et, ctx, cat] = trial.condition;
+    const id = trial.id;
+    // Store trial metadata
+    data.trial.push(trial.index);
+    data.condition.push([ss, et, ctx, cat]);
+    data.set_size.push(ss);
+    data.encoding_time.push(et);
+    data.context.push(ctx);
+    data.category.push(cat);
+    data.id.push(id);
+    // Determine chosen objects and states
+    const stimuli = trialStimuli(trial, design);
+    const chosenObj = stimuli.objects;
+    const chosenState = stimuli.states;
+    const stimCategory = stimuli.categories;
+    // Save objects and states, and the category of every stimulus, which
+    // differs between the items of unrelated displays
+    data.obj.push(chosenObj.slice());
+    data.state.push(chosenState.slice());
+    data.stimuli_category.push(stimCategory.slice());
+    // File names for each stimulus
+    const stimuliPaths = stimuli.paths;
+    // Displays are built from the cached images, so make sure they are
+    // loaded and decoded; images that still fail are recorded as missing
+    await prepareImages(stimuliPaths.concat(Object.values(stimuli.afc)));
+    const missing = [];
+    // Randomise stimulus positions and the 4AFC order, keeping pairs
+    // together, unless the design file fixed them
+    const nStim = parseInt(ss.slice(4), 10);
+    const layout = trial.layout || drawTrialLayout(nStim, trialRng, trial.catchType || null);
+    const posOrder = layout.stimulus_loc;
+    data.stimulus_loc.push(posOrder.slice());
+    // Compute positions
+    const positions = computePositions(ss, posOrder);
+    // Describe the displays; they are built below, before the first frame
+    const fixationItems = [{ kind: 'text', className: 'fixation', text: '+', left: '50%', top: '50%' }];
+    const memoryItems = stimuliPaths.map((path, j) => ({
+      kind: 'image',
+      className: 'stimulus-img',
+      path,
+      width: stimulusWidth(ss),
+      left: positions[j].left,
+      top: positions[j].top
+    }));
+    // Determine afc_cat and afc_stim pairs and the match and foil stimuli
+    const afcCatPair = stimuli.afcCat;
+    const afcStimPair = stimuli.afcStim;
+    const afcStimuli = stimuli.afc;
+    const afcOrder = layout.afc_loc;
+    data.afc_loc.push(afcOrder.slice());
+    data.afc_cat.push(afcCatPair.slice());
+    data.afc_stim.push(afcStimPair.slice());
+    // 4AFC images and key labels.  Instructed catch trials ask for the
+    // image in a random slot instead, which is framed; its key, a click
+    // or a tap on it all count
+    const catchType = trial.catchType || null;
+    const catchPos = layout.catch_slot;
+    const afcItems = [];
+    const afcWidth = p.calibration ? `${sizeToPx(config.visual_angle.afc_size_deg)}px` : '15%';
+    for (let pos = 0; pos < 4; pos++) {
+      const stimType = afcOrder[pos];
+      afcItems.push({
+        kind: 'image',
+        className: 'afc-img',
+        path: afcStimuli[stimType],
+        width: afcWidth,
+        left: afcPositions[pos].left,
+        top: afcPositions[pos].top,
+        slot: pos,
+        highlight: catchType === 'instructed' && pos === catchPos
+      }, {
+        kind: 'text',
+        className: 'afc-label',
+        text: `Press ${slotKeys[pos]}`,
+        left: afcPositions[pos].left,
+        top: afcPositions[pos].labelTop
+      });
+    }
+    if (catchType === 'instructed') {
+      afcItems.push({
+        kind: 'text',
+        className: 'catch-instruction',
+        text: `Ignore the objects and choose the framed image: press ${slotKeys[catchPos]}, or click or tap it.`,
+        left: '50%',
+        top: '50%'
+      });
+    }
+    data.catch_type.push(catchType);
+    data.catch_key.push(catchPos === null ? null : slotKeys[catchPos]);
+    // Build all displays up front so that each frame only swaps them in
+    const renderer = createRenderer(config.renderer, container, missing);
+    const fixationDisplay = renderer.build(fixationItems);
+    const memoryDisplay = renderer.build(memoryItems);
+    const afcDisplay = renderer.build(afcItems);
+    data.renderer.push(config.renderer);
+    // Phases 1-4: fixation cross, stimuli for the encoding time, fixation
+    // cross again for the delay, then the 4AFC screen until a response.
+    // Durations are whole frames of the measured refresh interval.
+    const frames = {
+      fixation_frames: msToFrames(config.fixation_ms),
+      memory_frames: Math.max(1, msToFrames(et * 1000)),
+      delay_frames: msToFrames(config.delay_ms)
+    };
+    data.image_error.push(missing.length ? 1 : 0);
+    data.missing_images.push(missing);
+    data.trial_start.push(Date.now());
+    const onsets = await presentFrames([
+      { name: 'fixation', render: fixationDisplay.render, frames: frames.fixation_frames },
+      { name: 'memory', render: memoryDisplay.render, frames: frames.memory_frames },
+      { name: 'delay', render: fixationDisplay.render, frames: frames.delay_frames },
+      { name: 'afc', render: afcDisplay.render, frames: null }
+    ]);
+    // Flag lapses of attention while the memory array or the delay was shown
+    data.page_hidden.push(lapsedDuring('hidden', onsets.memory_onset, onsets.afc_onset) ? 1 : 0);
+    data.focus_lost.push(lapsedDuring('blur', onsets.memory_onset, onsets.afc_onset) ? 1 : 0);
+    data.fullscreen_exit.push(config.require_fullscreen
+      ? (lapsedDuring('fullscreen', onsets.memory_onset, onsets.afc_onset) ? 1 : 0)
+      : null);
+    // Respond with the physical key of a quadrant or by clicking or
+    // tapping one of the 4AFC images
+    const response = await new Promise(resolve => {
+      // Ending the session is confirmed on screen: in fullscreen the
+      // browser takes the first Escape to leave fullscreen, so the leave
+      // itself opens the same confirmation.  A key response closes it.
+      let abortConfirm = null;
+      let deadline = null;
+      function finish(result) {
+        window.removeEventListener('keydown', handleKey);
+        document.removeEventListener('fullscreenchange', handleFullscreen);
+        container.removeEventListener('pointerdown', handlePointer);
+        clearTimeout(deadline);
+        resolve(Object.assign({ time: performance.now() }, result));
       }
-      // Start timer for reaction time
-      const startTime = performance.now();
-      const allowedKeys = ['a', 'z', "'", '/'];
-      const responseKey = await new Promise(resolve => {
-        function handleKey(event) {
-          const key = event.key;
-          if (allowedKeys.includes(key)) {
-            window.removeEventListener('keydown', handleKey);
-            resolve(key);
-          }
-          if (key === 'Escape') {
-            // Abort experiment
-            window.removeEventListener('keydown', handleKey);
-            resolve('escape');
+      function closeConfirm() {
+        if (abortConfirm) abortConfirm.remove();
+        abortConfirm = null;
+      }
+      function openConfirm() {
+        if (abortConfirm) return;
+        abortConfirm = document.createElement('div');
+        abortConfirm.className = 'abort-confirm';
+        const text = document.createElement('p');
+        text.textContent = 'End the session now? The responses so far are kept.';
+        const end = document.createElement('button');
+        end.textContent = 'End the session';
+        end.addEventListener('click', () => finish({ type: 'escape' }));
+        const resume = document.createElement('button');
+        resume.textContent = 'Continue';
+        resume.addEventListener('click', () => {
+          closeConfirm();
+          if (config.require_fullscreen && !document.fullscreenElement &&
+              typeof document.documentElement.requestFullscreen === 'function') {
+            document.documentElement.requestFullscreen().catch(err => console.warn('Could not enter fullscreen:', err));
           }
+        });
+        abortConfirm.appendChild(text);
+        abortConfirm.appendChild(end);
+        abortConfirm.appendChild(resume);
+        container.appendChild(abortConfirm);
+      }
+      function handleKey(event) {
+        if (event.key === 'Escape') {
+          openConfirm();
+          return;
         }
-        window.addEventListener('keydown', handleKey);
-      });
-      if (responseKey === 'escape') {
-        finishExperiment(true);
-        return;
+        const key = RESPONSE_KEYS[RESPONSE_CODES.indexOf(event.code)];
+        if (slotKeys.includes(key)) {
+          closeConfirm();
+          finish({ type: 'response', pos: slotKeys.indexOf(key), key, modality: 'keyboard', x: null, y: null });
+        }
+      }
+      function handleFullscreen() {
+        if (config.require_fullscreen && !document.fullscreenElement) openConfirm();
+      }
+      function handlePointer(event) {
+        if (abortConfirm && abortConfirm.contains(event.target)) return;
+        const pos = afcDisplay.slotAt(event);
+        if (pos < 0) return;
+        // Keep touches from also scrolling, zooming or firing mouse events
+        event.preventDefault();
+        finish({
+          type: 'response',
+          pos,
+          key: null,
+          modality: event.pointerType || 'mouse',
+          x: event.clientX,
+          y: event.clientY
+        });
       }
-      const endTime = performance.now();
-      const rt = (endTime - startTime) / 1000; // convert to seconds
-      // Map key to position
-      const keyToPos = { 'a': 0, 'z': 1, "'": 2, '/': 3 };
-      const selectedPos = keyToPos[responseKey];
-      const selectedStimType = afcOrder[selectedPos];
-      p.task.response.push(selectedStimType);
-      // Determine correctness
-      if (selectedStimType === 'match_target') {
-        p.task.correct_ans.push(1);
-        p.task.correct_cat.push(1);
-      } else if (selectedStimType === 'match_obj') {
-        p.task.correct_ans.push(0);
-        p.task.correct_cat.push(1);
-      } else {
-        p.task.correct_ans.push(0);
-        p.task.correct_cat.push(0);
+      window.addEventListener('keydown', handleKey);
+      document.addEventListener('fullscreenchange', handleFullscreen);
+      container.addEventListener('pointerdown', handlePointer);
+      if (config.response_deadline_ms !== null) {
+        deadline = setTimeout(() => finish({ type: 'timeout' }), config.response_deadline_ms);
       }
-      p.task.rt.push(rt);
-      // Clear 4AFC screen briefly before next trial
+    });
+    if (response.type === 'escape') {
+      return null;
+    }
+    data.trial_end.push(Date.now());
+    // Reaction time runs from the frame that showed the 4AFC screen to the
+    // response event, both on the performance.now clock
+    const rt = (response.time - onsets.afc_onset) / 1000; // convert to seconds
+    data.timing.push(Object.assign(frames, onsets, { afc_offset: response.time }));
+    if (response.type === 'timeout') {
+      // No response within the deadline: neither rt nor correctness exist
+      data.response.push('timeout');
+      data.response_key.push(null);
+      data.response_modality.push(null);
+      data.response_x.push(null);
+      data.response_y.push(null);
+      data.rt.push(null);
+      data.correct_ans.push(null);
+      data.correct_cat.push(null);
+      data.catch_passed.push(catchType ? 0 : null);
       container.innerHTML = '';
+      currentTrial = null;
+      return { response: 'timeout', correct_ans: null };
+    }
+    const selectedStimType = afcOrder[response.pos];
+    data.response.push(selectedStimType);
+    data.response_key.push(response.key);
+    data.response_modality.push(response.modality);
+    data.response_x.push(response.x);
+    data.response_y.push(response.y);
+    // Determine correctness
+    if (selectedStimType === 'match_target') {
+      data.correct_ans.push(1);
+      data.correct_cat.push(1);
+    } else if (selectedStimType === 'match_obj') {
+      data.correct_ans.push(0);
+      data.correct_cat.push(1);
+    } else {
+      data.correct_ans.push(0);
+      data.correct_cat.push(0);
+    }
+    data.rt.push(rt);
+    // Easy catch trials are passed by choosing the studied object in either
+    // state, instructed ones by choosing the requested item
+    if (catchType === 'easy') {
+      data.catch_passed.push(data.correct_cat[data.correct_cat.length - 1]);
+    } else if (catchType === 'instructed') {
+      data.catch_passed.push(response.pos === catchPos ? 1 : 0);
+    } else {
+      data.catch_passed.push(null);
+    }
+    // Clear 4AFC screen briefly before next trial
+    container.innerHTML = '';
+    currentTrial = null;
+    return {
+      response: selectedStimType,
+      correct_ans: data.correct_ans[data.correct_ans.length - 1]
+    };
+  }
+
+  // Offset of the practice streams among the per-trial random streams, far
+  // beyond the index of any experimental trial
+  const PRACTICE_STREAM = 1000000;
+
+  /**
+   * Draw the trials of one practice round.  The practice cells (set size x
+   * encoding time x practice context x practice category) are shuffled and
+   * cycled through, each with a random exemplar.
+   * @param {Object} practiceCfg Configuration restricted to practice stimuli
+   * @param {number} nTrials Number of trials in the round
+   * @param {Function} rng Random number generator of the round
+   * @returns {Array<Object>} Trials of the form { index, condition, id }
+   */
+  function buildPracticeTrials(practiceCfg, nTrials, rng) {
+    const cells = [];
+    for (const n of practiceCfg.set_sizes) {
+      for (const et of practiceCfg.encoding_times) {
+        for (const ctx of practiceCfg.contexts) {
+          for (const cat of practiceCfg.categories) {
+            cells.push([`size${n}`, et, ctx, cat]);
+          }
+        }
+      }
+    }
+    shuffle(cells, rng);
+    return Array.from({ length: nTrials }, (_, k) => ({
+      index: k,
+      condition: cells[k % cells.length],
+      id: Math.floor(rng() * practiceCfg.exemplars_per_cell)
+    }));
+  }
+
+  /**
+   * Briefly show whether the last practice response was correct, or that
+   * it came too late.
+   * @param {Object} outcome Response type and correctness from runTrial
+   */
+  async function showFeedback(outcome) {
+    const container = document.getElementById('experiment');
+    container.innerHTML = '';
+    const correct = outcome.correct_ans === 1;
+    const div = document.createElement('div');
+    div.className = correct ? 'feedback feedback-correct' : 'feedback feedback-incorrect';
+    if (outcome.response === 'timeout') {
+      div.textContent = 'Too slow! Please respond faster.';
+    } else {
+      div.textContent = correct ? 'Correct!' : 'Incorrect';
+    }
+    container.appendChild(div);
+    await sleep(config.practice.feedback_ms);
+    container.innerHTML = '';
+  }
+
+  /**
+   * Run practice rounds through the same trial pipeline as the main task,
+   * with feedback after every response, until the accuracy criterion is
+   * met or `max_rounds` rounds have been run.  Practice trials are stored
+   * in `p.practice` and each round's accuracy in `p.practice_rounds`.
+   * Progress is saved at the start of every round, so a reload repeats
+   * the round under way.
+   * @param {number} [startRound=1] Round to start with, after a resume
+   * @returns {Promise<boolean>} false if the session was aborted
+   */
+  async function runPractice(startRound = 1) {
+    const settings = config.practice;
+    const practiceCfg = Object.assign({}, config, {
+      categories: settings.categories,
+      contexts: settings.contexts
+    });
+    const design = buildStimulusDict(practiceCfg, createRng(deriveSeed(sessionSeed, PRACTICE_STREAM)));
+    if (frameMs === null) await measureFrameRate();
+    if (startRound === 1) {
+      await showMessage('Before the main task you will do some practice trials. After each answer you will see whether it was correct.<br><br>Press Enter to start the practice.');
+    }
+    for (let round = startRound; ; round++) {
+      saveProgress(0, round);
+      const rng = createRng(deriveSeed(sessionSeed, PRACTICE_STREAM + round));
+      const trials = buildPracticeTrials(practiceCfg, settings.trials, rng);
+      await loadImages(trialImagePaths(trials, design));
+      let correct = 0;
+      for (const trial of trials) {
+        const outcome = await runTrial(trial, design, p.practice, rng);
+        if (!outcome) {
+          abortExperiment('practice', trial.index);
+          return false;
+        }
+        p.practice.round.push(round);
+        sendTrial('practice', p.practice, 1);
+        correct += outcome.correct_ans;
+        await showFeedback(outcome);
+      }
+      const accuracy = correct / trials.length;
+      const passed = accuracy >= settings.criterion;
+      p.practice_rounds.push({ round, accuracy, passed });
+      if (passed || (settings.max_rounds > 0 && round >= settings.max_rounds)) break;
+      await showMessage(`You answered ${Math.round(accuracy * 100)}% of the practice trials correctly. Let's practise a little more.<br><br>Press Enter to continue.`);
+    }
+    saveProgress(0);
+    await showMessage('The practice is over. From now on you will not see whether your answers were correct.<br><br>Press Enter to start the task.');
+    return true;
+  }
+
+  /**
+   * Show a rest break between blocks with the progress so far and wait
+   * until the participant presses Enter.
+   * @param {number} block Index of the block about to start
+   * @param {number} nBlocks Total number of blocks
+   * @param {number} done Number of trials completed
+   * @returns {Promise<number>} Duration of the break in seconds
+   */
+  async function showBreak(block, nBlocks, done) {
+    const start = performance.now();
+    let html = `Block ${block} of ${nBlocks} is complete. You have finished ${done} of ${conditions.length} trials.`;
+    // Only answered trials of the design count: catch trials, timeouts and
+    // trials during which fullscreen was left, which are run again, are
+    // left out
+    const task = p.task;
+    const scored = task.correct_ans.filter((c, k) => c !== null && task.catch_type[k] === null &&
+      !(config.require_fullscreen && task.fullscreen_exit[k] === 1));
+    if (config.blocks.show_accuracy && scored.length) {
+      const correct = scored.reduce((sum, c) => sum + c, 0);
+      html += `<br><br>So far you answered ${Math.round(100 * correct / scored.length)}% of the trials correctly.`;
+    }
+    html += '<br><br>Take a short rest. Press Enter when you are ready to continue.';
+    await showMessage(html);
+    return (performance.now() - start) / 1000;
+  }
+
+  /**
+   * Number of trials in a block of the task; the last block may be
+   * shorter.
+   * @returns {number} Trials per block
+   */
+  function taskBlockSize() {
+    return Math.ceil(conditions.length / config.blocks.count);
+  }
+
+  /**
+   * List the images shown in one block of the task.
+   * @param {number} block Index of the block
+   * @returns {Array<string>} Image paths
+   */
+  function blockImagePaths(block) {
+    const size = taskBlockSize();
+    const trials = [];
+    for (let i = block * size; i < Math.min((block + 1) * size, conditions.length); i++) {
+      trials.push({ condition: conditions[i], id: randId[i] });
+    }
+    return trialImagePaths(trials, stimulusDict);
+  }
+
+  /**
+   * List the trials of a block that are to be repeated and have not been
+   * yet: with `require_fullscreen`, trials during which fullscreen was
+   * left and, with `requeue_timeouts`, trials that timed out, each on its
+   * first attempt.
+   * @param {number} block Index of the block
+   * @returns {Array<number>} Trial indices in the order they were run
+   */
+  function pendingRequeues(block) {
+    const task = p.task;
+    const repeated = task.trial.filter((_, k) => task.attempt[k] > 1);
+    const repeat = k => (config.require_fullscreen && task.fullscreen_exit[k] === 1) ||
+      (config.requeue_timeouts && task.response[k] === 'timeout');
+    return task.trial.filter((trial, k) => task.block[k] === block &&
+      task.attempt[k] === 1 && repeat(k) && !repeated.includes(trial));
+  }
+
+  /**
+   * Run through all experimental trials sequentially, split into
+   * `config.blocks.count` blocks with a rest break before every block but
+   * the first.  With `require_fullscreen`, trials during which fullscreen
+   * was left and, with `requeue_timeouts`, trials that timed out are run
+   * once more at the end of their block.  Results are recorded into the
+   * global `p` object and saved to localStorage after every trial.  When
+   * all trials complete the finish screen is displayed.
+   * @param {number} [startTrial=0] Index of the first trial to run, used
+   *   when resuming a saved session
+   */
+  async function runTrials(startTrial = 0) {
+    if (frameMs === null) await measureFrameRate();
+    const blockSize = taskBlockSize();
+    const nBlocks = Math.ceil(conditions.length / blockSize);
+    // A resumed session starts in the block of the last completed trial, so
+    // that its requeued trials are still run, and keeps its break duration
+    let breakDuration = p.task.break_duration.length ? p.task.break_duration[p.task.break_duration.length - 1] : null;
+    // Run one trial of the task; false if the participant aborted
+    async function runTaskTrial(i, block, attempt) {
+      // Positions and 4AFC order are drawn from this trial's own stream
+      const trialRng = createRng(deriveSeed(sessionSeed, i));
+      const trial = { index: i, condition: conditions[i], id: randId[i], catchType: catchTypes[i], layout: trialLayouts[i] };
+      const outcome = await runTrial(trial, stimulusDict, p.task, trialRng);
+      if (!outcome) {
+        abortExperiment('task', i);
+        return false;
+      }
+      p.task.block.push(block);
+      p.task.break_duration.push(breakDuration);
+      p.task.attempt.push(attempt);
+      sendTrial('task', p.task, attempt);
+      return true;
+    }
+    for (let block = startTrial > 0 ? Math.floor((startTrial - 1) / blockSize) : 0; block < nBlocks; block++) {
+      const blockEnd = Math.min((block + 1) * blockSize, conditions.length);
+      if (block > 0 && startTrial <= block * blockSize) {
+        breakDuration = await showBreak(block, nBlocks, block * blockSize);
+      }
+      // Load what is missing of this block, usually nothing because it was
+      // prefetched, then fetch the next block while this one runs
+      const paths = blockImagePaths(block);
+      const nextPaths = block + 1 < nBlocks ? blockImagePaths(block + 1) : [];
+      releaseImages(paths.concat(nextPaths));
+      await loadImages(paths);
+      preloadImages(null, nextPaths);
+      for (let i = Math.max(startTrial, block * blockSize); i < blockEnd; i++) {
+        if (!await runTaskTrial(i, block, 1)) return;
+        saveProgress(i + 1);
+      }
+      for (const i of pendingRequeues(block)) {
+        if (!await runTaskTrial(i, block, 2)) return;
+        saveProgress(blockEnd);
+      }
     }
     // After all trials
     finishExperiment(false);
   }
 
   /**
-   * Display a thank you message and provide a download link for the data.
-   * Optionally skip the thank you if the experiment was aborted (e.g. via
-   * the Escape key).
+   * End the session early after the participant confirmed the abort.  The
+   * unanswered trial is dropped from `p.task` and `p.practice` so every
+   * array only holds completed trials, and the abort time, phase and trial
+   * index are recorded.
+   * @param {string} phase 'practice' or 'task'
+   * @param {number} trialIndex Index of the trial that was being shown
+   */
+  function abortExperiment(phase, trialIndex) {
+    [p.task, p.practice].forEach(data => {
+      const completed = data.response.length;
+      Object.keys(data).forEach(key => {
+        data[key].length = Math.min(data[key].length, completed);
+      });
+    });
+    p.aborted = { timestamp: new Date().toISOString(), phase, trial_index: trialIndex };
+    finishExperiment(true);
+  }
+
+  /**
+   * Compute the pass rate of the catch trials, overall and per type.
+   * Repeated (requeued) presentations count as separate attempts.
+   * @param {Object} task Column-oriented record of the experimental trials
+   * @returns {Object} { n, passed, pass_rate, by_type: { <type>: { n,
+   *   passed, pass_rate } } }; pass_rate is null without catch trials
+   */
+  function summariseCatchTrials(task) {
+    const tally = rows => {
+      const passed = rows.reduce((sum, k) => sum + task.catch_passed[k], 0);
+      return { n: rows.length, passed, pass_rate: rows.length ? passed / rows.length : null };
+    };
+    const rows = task.catch_type.map((type, k) => k).filter(k => task.catch_type[k] !== null);
+    const summary = tally(rows);
+    summary.by_type = {};
+    CATCH_TYPES.forEach(type => {
+      summary.by_type[type] = tally(rows.filter(k => task.catch_type[k] === type));
+    });
+    return summary;
+  }
+
+  /**
+   * Display a thank you message and store the data: on the data server and
+   * online platforms if any are configured, otherwise (or if they cannot be
+   * reached) as download links, then end the study on the platforms and
+   * send the participant back to the recruitment platform if one is
+   * configured.  If the experiment was
+   * aborted (e.g. via the Escape key) the data collected so far are stored
+   * marked as partial instead.
    * @param {boolean} aborted Whether the experiment ended prematurely
    */
-  function finishExperiment(aborted) {
+  async function finishExperiment(aborted) {
     const container = document.getElementById('experiment');
     container.innerHTML = '';
     const thank = document.createElement('div');
     thank.className = 'thank-you';
     thank.textContent = aborted ? 'Experiment aborted.' : 'Thank you for your participation!';
     container.appendChild(thank);
-    // Save data and offer download if not aborted
-    if (!aborted) {
-      createDownloadLink(p, `${p.participant.number}_semantic_vwm.json`);
+    p.status = aborted ? 'aborted' : 'complete';
+    p.catch_summary = summariseCatchTrials(p.task);
+    const stored = await storeResults(aborted);
+    offerSummary();
+    clearProgress(p.participant.number);
+    await completeOnPlatforms();
+    redirectToPlatform(stored);
+  }
+
+  /**
+   * Make the experimenter summary available on the end screen.  With
+   * `summary_report.show_participant` a button opens it; otherwise only
+   * Shift+S does, so participants who finish on their own never see it.
+   */
+  function offerSummary() {
+    const settings = config.summary_report;
+    if (!settings.enabled) return;
+    const container = document.getElementById('experiment');
+    const open = () => {
+      if (!container.querySelector('.summary-screen')) showSummary(endScreen);
+    };
+    if (settings.show_participant) {
+      const button = document.createElement('button');
+      button.textContent = 'Show session summary';
+      button.addEventListener('click', open);
+      container.appendChild(button);
     }
+    const endScreen = [...container.childNodes];
+    window.addEventListener('keydown', event => {
+      if (event.code === 'KeyS' && event.shiftKey) open();
+    });
   }
 
-  // Initialise the experiment by showing the demographic form when the
+  /**
+   * Show the experimenter summary of the session with links to download
+   * it as a standalone HTML report and its error analysis as a table, and
+   * buttons to print it (or save it as PDF) and to return to the end
+   * screen.
+   * @param {Array<Node>} endScreen Content of the end screen to restore
+   */
+  function showSummary(endScreen) {
+    const container = document.getElementById('experiment');
+    container.innerHTML = '';
+    const summary = summariseSession(p);
+    const div = document.createElement('div');
+    div.className = 'summary-screen';
+    div.innerHTML = `<h2>Session summary</h2>${summaryHtml(summary)}`;
+    const actions = document.createElement('div');
+    actions.className = 'summary-actions';
+    const suffix = p.status === 'aborted' ? '_partial' : '';
+    createFileLink(summaryReport(summary), `${p.participant.number}_semantic_vwm_report${suffix}.html`,
+      'text/html', 'Download report (HTML)', actions);
+    createFileLink(toDelimited(summary.errors, ','), `${p.participant.number}_semantic_vwm_errors${suffix}.csv`,
+      'text/csv', 'Download error analysis (CSV)', actions);
+    const print = document.createElement('button');
+    print.textContent = 'Print or save as PDF';
+    print.addEventListener('click', () => window.print());
+    const back = document.createElement('button');
+    back.textContent = 'Back';
+    back.addEventListener('click', () => {
+      container.innerHTML = '';
+      endScreen.forEach(node => container.appendChild(node));
+    });
+    actions.appendChild(print);
+    actions.appendChild(back);
+    div.appendChild(actions);
+    container.appendChild(div);
+  }
+
+  // Initialise the experiment by loading and validating the configuration
+  // and the stimulus files, then showing the demographic form, when the
   // page loads.
-  window.addEventListener('load', () => {
-    showDemographicForm();
+  window.addEventListener('load', async () => {
+    config = await loadConfig();
+    const errors = validateConfig(config);
+    if (errors.length) {
+      showBlockingErrors(`The experiment configuration (${config.file}) is invalid`, errors);
+      return;
+    }
+    p.config = config;
+    backends = createAdapters(config.backend, { fetch: (...args) => window.fetch(...args), jatos: window.jatos });
+    // jatos.js reads its study data and URL parameters before it can be used
+    if (window.jatos && config.backend.adapters.includes('jatos')) {
+      await new Promise(resolve => window.jatos.onLoad(resolve));
+    }
+    try {
+      designFile = await loadDesignFile();
+    } catch (err) {
+      showBlockingErrors('The design file could not be loaded', [err.message]);
+      return;
+    }
+    if (designFile) {
+      const designErrors = validateDesignFile(config, designFile);
+      if (designErrors.length) {
+        showBlockingErrors(`The design file (${designFile.file}) does not fit the configuration`, designErrors);
+        return;
+      }
+      p.design_file = designFile.file;
+    }
+    try {
+      manifest = await loadManifest();
+    } catch (err) {
+      showBlockingErrors('The stimulus manifest could not be loaded', [
+        `${MANIFEST_FILE}: ${err.message}`,
+        'Run "node tools/build_manifest.js" in the experiment folder and reload the page.'
+      ]);
+      return;
+    }
+    await validateStimuli();
   });
 })();
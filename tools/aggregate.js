@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/*
+ * aggregate.js
+ *
+ * Combine the data files of many participants into one dataset and report
+ * group means for the related vs unrelated x set size x encoding time
+ * design:
+ *
+ *   node tools/aggregate.js <data_folder> [output_dir]
+ *
+ * Every `<number>_semantic_vwm.json` file in the folder, and every
+ * numbered copy written by tools/server.js for a repeated session, is
+ * checked first.
+ * A session is only included if it is complete: the session ended
+ * normally, every array of `p.task` has the same length and every trial of
+ * the design (360 in the default configuration; otherwise as many as the
+ * file's own configuration defines) was run exactly once.  Catch trials
+ * and trials repeated at the end of their block (after a timeout or after
+ * fullscreen was left) come on top of these.  Excluded files are listed
+ * with the reason, as are `_partial`
+ * files of aborted sessions.  A participant number seen before, such as
+ * that of a numbered copy, is excluded as well.
+ *
+ * Two files are written to the output directory (the data folder unless
+ * given):
+ *
+ *   group_trials.csv  Long format: one row per trial presentation of every
+ *                     included participant.  Catch trials and repeated
+ *                     trials are kept and marked by `catch_type` and
+ *                     `attempt`.
+ *   group_means.csv   One row per context x set size x encoding time cell:
+ *                     the mean over participants of their accuracy,
+ *                     category accuracy and median RT in that cell, with
+ *                     95% bootstrap confidence intervals (participants
+ *                     resampled).  Catch trials are left out and timeouts
+ *                     count as missing.
+ *
+ * The bootstrap is seeded, so repeated runs on the same files agree.  The
+ * script exits with status 1 if no session could be included.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRng, toDelimited } = require('../design.js');
+const { conditionSummary, bootstrapMean } = require('../analysis.js');
+const { COMPLETE_FILE_PATTERN, PARTIAL_FILE_PATTERN } = require('./data_files.js');
+
+// Design trials of files that do not record their configuration
+const DEFAULT_TRIAL_COUNT = 360;
+
+// Bootstrap resamples per cell and the seed of their generator
+const N_BOOTSTRAP = 2000;
+const BOOTSTRAP_SEED = 20240601;
+
+// Per-participant cell measures averaged across the group
+const MEASURES = ['accuracy', 'category_accuracy', 'median_rt'];
+
+// Columns of p.task copied into the long-format dataset
+const TRIAL_COLUMNS = ['trial', 'block', 'attempt', 'set_size', 'encoding_time', 'context', 'category', 'id',
+  'catch_type', 'response', 'response_modality', 'rt', 'correct_ans', 'correct_cat', 'page_hidden',
+  'focus_lost', 'fullscreen_exit', 'image_error'];
+
+/**
+ * Number of design trials a session should contain, from the
+ * configuration recorded in its data file.
+ * @param {Object} data The `p` data object
+ * @returns {number} Expected number of design trials
+ */
+function expectedTrials(data) {
+  const cfg = data.config;
+  if (!cfg) return DEFAULT_TRIAL_COUNT;
+  return cfg.repetitions * cfg.set_sizes.length * cfg.encoding_times.length *
+    cfg.contexts.length * cfg.categories.length;
+}
+
+/**
+ * Check that a data file holds one complete session.
+ * @param {Object} data Parsed data file
+ * @returns {Array<string>} Problems found; empty when the session is complete
+ */
+function checkSession(data) {
+  if (!data || !data.participant || !data.task || !Array.isArray(data.task.trial)) {
+    return ['not a data file of the experiment'];
+  }
+  const problems = [];
+  const task = data.task;
+  if (data.status && data.status !== 'complete') {
+    problems.push(`session ${data.status}`);
+  }
+  const uneven = Object.entries(task)
+    .filter(([, values]) => Array.isArray(values) && values.length !== task.trial.length);
+  if (uneven.length) {
+    problems.push(`p.task arrays differ in length from trial (${task.trial.length}): ` +
+      uneven.map(([name, values]) => `${name} ${values.length}`).join(', '));
+    return problems;
+  }
+  // Design trials on their first attempt; catch trials and repeated
+  // trials come on top
+  const designTrials = task.trial.filter((_, k) =>
+    (!task.catch_type || task.catch_type[k] === null) && (!task.attempt || task.attempt[k] === 1));
+  const expected = expectedTrials(data);
+  if (designTrials.length !== expected) {
+    problems.push(`${designTrials.length} of ${expected} design trials`);
+  } else if (new Set(designTrials).size !== designTrials.length) {
+    problems.push('trial indices repeat');
+  }
+  return problems;
+}
+
+/**
+ * Flatten the trials of a session into long-format rows.
+ * @param {Object} data The `p` data object
+ * @param {string} file Name of the data file
+ * @returns {Array<Object>} One row per trial presentation
+ */
+function longRows(data, file) {
+  const task = data.task;
+  return task.trial.map((_, k) => {
+    const row = { participant: data.participant.number, file };
+    TRIAL_COLUMNS.forEach(column => {
+      const value = task[column] ? task[column][k] : null;
+      row[column] = value === undefined ? null : value;
+    });
+    row.set_size = parseInt(row.set_size.slice(4), 10);
+    return row;
+  });
+}
+
+/**
+ * Average every cell measure across participants with bootstrap
+ * confidence intervals.
+ * @param {Array<Object>} sessions Included `p` data objects
+ * @returns {Array<Object>} One row per context x set size x encoding time
+ */
+function groupMeans(sessions) {
+  const cells = new Map();
+  sessions.forEach(data => {
+    conditionSummary(data.task).forEach(cell => {
+      const key = [cell.context, cell.set_size, cell.encoding_time].join('|');
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(cell);
+    });
+  });
+  const rng = createRng(BOOTSTRAP_SEED);
+  return [...cells.values()]
+    .sort((a, b) => a[0].context.localeCompare(b[0].context) || a[0].set_size - b[0].set_size ||
+      a[0].encoding_time - b[0].encoding_time)
+    .map(rows => {
+      const row = {
+        context: rows[0].context,
+        set_size: rows[0].set_size,
+        encoding_time: rows[0].encoding_time,
+        n_participants: rows.length
+      };
+      MEASURES.forEach(measure => {
+        const estimate = bootstrapMean(rows.map(cell => cell[measure]), N_BOOTSTRAP, rng);
+        row[`${measure}_mean`] = estimate.mean;
+        row[`${measure}_ci_lower`] = estimate.ci_lower;
+        row[`${measure}_ci_upper`] = estimate.ci_upper;
+      });
+      return row;
+    });
+}
+
+function main() {
+  const folder = process.argv[2];
+  if (!folder) {
+    console.error('Usage: node tools/aggregate.js <data_folder> [output_dir]');
+    process.exit(1);
+  }
+  if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+    console.error(`Data folder not found: ${folder}`);
+    process.exit(1);
+  }
+  // Sorted without the extension, so a numbered copy follows the first
+  // session of its participant and is the one excluded
+  const stem = name => name.replace(/\.json$/, '');
+  const names = fs.readdirSync(folder).sort((a, b) => stem(a).localeCompare(stem(b), undefined, { numeric: true }));
+  names.filter(name => PARTIAL_FILE_PATTERN.test(name))
+    .forEach(name => console.warn(`Excluded ${name}: partial file of an aborted session`));
+  const sessions = [];
+  const participants = new Map();
+  const trials = [];
+  for (const name of names.filter(n => COMPLETE_FILE_PATTERN.test(n))) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(folder, name), 'utf8'));
+    } catch (err) {
+      console.warn(`Excluded ${name}: ${err.message}`);
+      continue;
+    }
+    const problems = checkSession(data);
+    if (!problems.length && participants.has(data.participant.number)) {
+      problems.push(`participant ${data.participant.number} already included from ${participants.get(data.participant.number)}`);
+    }
+    if (problems.length) {
+      console.warn(`Excluded ${name}: ${problems.join('; ')}`);
+      continue;
+    }
+    participants.set(data.participant.number, name);
+    sessions.push(data);
+    trials.push(...longRows(data, name));
+  }
+  if (!sessions.length) {
+    console.error('No complete sessions found.');
+    process.exit(1);
+  }
+  const means = groupMeans(sessions);
+  const outDir = path.resolve(process.argv[3] || folder);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'group_trials.csv'), toDelimited(trials, ','));
+  fs.writeFileSync(path.join(outDir, 'group_means.csv'), toDelimited(means, ','));
+  console.log(`Included ${sessions.length} participants (${trials.length} trials).`);
+  const format = v => (v === null ? 'n/a' : v.toFixed(3));
+  means.forEach(row => {
+    console.log(`${row.context.padEnd(9)} size ${row.set_size}  ${String(row.encoding_time).padEnd(5)} s  ` +
+      `accuracy ${format(row.accuracy_mean)} [${format(row.accuracy_ci_lower)}, ${format(row.accuracy_ci_upper)}]  ` +
+      `n = ${row.n_participants}`);
+  });
+  console.log(`Wrote group_trials.csv and group_means.csv to ${outDir}`);
+}
+
+main();
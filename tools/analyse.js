@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/*
+ * analyse.js
+ *
+ * Break down the errors of saved sessions into state swaps and
+ * foil-category errors and fit the mixture model of analysis.js, which
+ * separates memory for the object from memory for its state:
+ *
+ *   node tools/analyse.js <data_file_or_folder> [output_dir]
+ *
+ * A folder is searched for the `<number>_semantic_vwm.json` files saved by
+ * the experiment (including `_partial` files of aborted sessions and the
+ * numbered copies tools/server.js writes for repeated sessions).  For
+ * every session a tidy table with one row per set size x encoding time x
+ * context cell is written as `<file name>_errors.csv`, next to the data
+ * file unless an output directory is given.  Catch trials are left out and
+ * timed-out trials only counted.  The script exits with status 1 if no
+ * session could be analysed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { errorTable, capacitySummary } = require('../analysis.js');
+const { toDelimited } = require('../design.js');
+const { DATA_FILE_PATTERN } = require('./data_files.js');
+
+/**
+ * List the data files to analyse.
+ * @param {string} target A data file or a folder of data files
+ * @returns {Array<string>} Paths of the data files
+ */
+function listDataFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target)
+    .filter(name => DATA_FILE_PATTERN.test(name))
+    .sort((a, b) => a.replace(/\.json$/, '').localeCompare(b.replace(/\.json$/, ''), undefined, { numeric: true }))
+    .map(name => path.join(target, name));
+}
+
+function main() {
+  const target = process.argv[2];
+  if (!target) {
+    console.error('Usage: node tools/analyse.js <data_file_or_folder> [output_dir]');
+    process.exit(1);
+  }
+  if (!fs.existsSync(target)) {
+    console.error(`Not found: ${target}`);
+    process.exit(1);
+  }
+  const outDir = process.argv[3] ? path.resolve(process.argv[3]) : null;
+  if (outDir) fs.mkdirSync(outDir, { recursive: true });
+  let analysed = 0;
+  for (const file of listDataFiles(path.resolve(target))) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.warn(`Skipped ${file}: ${err.message}`);
+      continue;
+    }
+    if (!data.participant || !data.task || !Array.isArray(data.task.response)) {
+      console.warn(`Skipped ${file}: not a data file of the experiment`);
+      continue;
+    }
+    const rows = errorTable(data);
+    const outFile = path.join(outDir || path.dirname(file), `${path.basename(file, '.json')}_errors.csv`);
+    fs.writeFileSync(outFile, toDelimited(rows, ','));
+    const capacity = capacitySummary(data.task)
+      .map(row => `K(${row.set_size}) = ${row.capacity_k === null ? 'n/a' : row.capacity_k.toFixed(2)}`);
+    console.log(`Participant ${data.participant.number}: ${rows.length} cells written to ${outFile}; ${capacity.join(', ')}`);
+    analysed++;
+  }
+  if (!analysed) {
+    console.error('No sessions analysed.');
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/*
+ * build_manifest.js
+ *
+ * Scan `stimuli_folder` and write `stimuli_folder/manifest.json`, which
+ * records the real filename of every stimulus image.  The experiment looks
+ * up each (size, category, object, state) in this manifest instead of
+ * assuming `objX_sY.jpg`, so files saved as `.JPG` or `.jpeg` still load on
+ * case-sensitive web servers.
+ *
+ * Run it from the experiment directory whenever images are added, renamed
+ * or removed:
+ *
+ *   node tools/build_manifest.js [stimuli_folder]
+ *
+ * The manifest maps keys of the form `size4/cat_5/obj1_s1` to paths
+ * relative to the stimulus folder, e.g. `size4/cat_5/obj1_s1.JPG`.  Files
+ * that do not follow the `objX_sY` naming scheme are reported and skipped.
+ * The script exits with status 1 if two files claim the same key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Accepted stimulus filenames: object, state and an image extension in any case
+const STIMULUS_PATTERN = /^(obj\w+?)_(s\d+)\.(jpe?g|png)$/i;
+
+/**
+ * List the names of the subdirectories of a directory, sorted naturally so
+ * that cat_10 follows cat_9.
+ * @param {string} dir Directory to list
+ * @returns {Array<string>} Subdirectory names
+ */
+function listDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Build the manifest for a stimulus folder.
+ * @param {string} root Path to the stimulus folder
+ * @returns {{files: Object, skipped: Array<string>, conflicts: Array<string>}}
+ */
+function buildManifest(root) {
+  const files = {};
+  const skipped = [];
+  const conflicts = [];
+  for (const size of listDirs(root).filter(name => /^size\d+$/.test(name))) {
+    for (const category of listDirs(path.join(root, size))) {
+      const dir = path.join(root, size, category);
+      const names = fs.readdirSync(dir).filter(name => !name.startsWith('.')).sort();
+      for (const name of names) {
+        const rel = `${size}/${category}/${name}`;
+        const match = STIMULUS_PATTERN.exec(name);
+        if (!match) {
+          skipped.push(rel);
+          continue;
+        }
+        const key = `${size}/${category}/${match[1]}_${match[2]}`;
+        if (files[key]) {
+          conflicts.push(`${key}: ${files[key]} and ${rel}`);
+          continue;
+        }
+        files[key] = rel;
+      }
+    }
+  }
+  return { files, skipped, conflicts };
+}
+
+function main() {
+  const root = path.resolve(process.argv[2] || 'stimuli_folder');
+  if (!fs.existsSync(root)) {
+    console.error(`Stimulus folder not found: ${root}`);
+    process.exit(1);
+  }
+  const { files, skipped, conflicts } = buildManifest(root);
+  skipped.forEach(rel => console.warn(`Skipped (not objX_sY.jpg/png): ${rel}`));
+  if (conflicts.length) {
+    conflicts.forEach(msg => console.error(`Duplicate stimulus ${msg}`));
+    process.exit(1);
+  }
+  const nonCanonical = Object.entries(files).filter(([key, rel]) => rel !== `${key}.jpg`);
+  nonCanonical.forEach(([key, rel]) => console.log(`Note: ${key} resolves to ${rel}`));
+  const manifest = { generated_by: 'tools/build_manifest.js', files };
+  const outFile = path.join(root, 'manifest.json');
+  fs.writeFileSync(outFile, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`Wrote ${Object.keys(files).length} entries to ${outFile}`);
+}
+
+main();
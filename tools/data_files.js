@@ -0,0 +1,46 @@
+/*
+ * data_files.js
+ *
+ * Names of the data files of the experiment, shared by the tools that write
+ * and read them.  A session is saved as `<number>_semantic_vwm.json`, with
+ * a `_partial` suffix if it was aborted.  tools/server.js stores a further
+ * session of the same participant number next to the first with a
+ * numbered suffix (`_2`, `_3`, ...) instead of replacing it, and does the
+ * same with the trial files it collects during each session
+ * (`<number>_semantic_vwm_trials.json`), which the patterns below leave
+ * out.
+ */
+
+// Data files of complete and aborted sessions, numbered copies included
+const DATA_FILE_PATTERN = /_semantic_vwm(_partial)?(_\d+)?\.json$/;
+const COMPLETE_FILE_PATTERN = /_semantic_vwm(_\d+)?\.json$/;
+const PARTIAL_FILE_PATTERN = /_semantic_vwm_partial(_\d+)?\.json$/;
+
+/**
+ * Name of a data file.
+ * @param {string} prefix Participant number, safe for a file name
+ * @param {boolean} partial Whether the session was aborted
+ * @param {number} [copy=1] Number of the session of this participant
+ * @returns {string} File name
+ */
+function dataFileName(prefix, partial, copy = 1) {
+  return `${prefix}_semantic_vwm${partial ? '_partial' : ''}${copy > 1 ? `_${copy}` : ''}.json`;
+}
+
+/**
+ * Name of the file tools/server.js collects the trials of a session in.
+ * @param {string} prefix Participant number, safe for a file name
+ * @param {number} [copy=1] Number of the session of this participant
+ * @returns {string} File name
+ */
+function trialsFileName(prefix, copy = 1) {
+  return `${prefix}_semantic_vwm_trials${copy > 1 ? `_${copy}` : ''}.json`;
+}
+
+module.exports = {
+  DATA_FILE_PATTERN,
+  COMPLETE_FILE_PATTERN,
+  PARTIAL_FILE_PATTERN,
+  dataFileName,
+  trialsFileName
+};
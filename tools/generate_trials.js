@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/*
+ * generate_trials.js
+ *
+ * Write the complete trial list of a seed ahead of time, so that it can be
+ * reviewed before anyone runs it.  The design is generated by design.js,
+ * the same code the experiment runs, so the list is exactly what a session
+ * with that seed and configuration presents:
+ *
+ *   node tools/generate_trials.js <seed> [config_file] [output_dir]
+ *
+ * The configuration defaults to config.json and the output directory to
+ * `designs`.  Two files are written there:
+ *
+ *   design_seed-<seed>.json  The seed, the design settings of the
+ *                            configuration, the stimulus dictionary and
+ *                            every trial.  The experiment runs this file
+ *                            instead of generating its design when it is
+ *                            named by `design_file` in the configuration or
+ *                            a `?design=` URL parameter.
+ *   design_seed-<seed>.csv   One row per trial for review: condition,
+ *                            block, memory array items with their screen
+ *                            positions and the four 4AFC items.
+ *
+ * 4AFC items are listed by slot, in the order of `afc_loc`; the screen
+ * quadrant of each slot depends on the participant's counterbalancing and
+ * is recorded in `p.counterbalancing.slot_quadrants`.  Pass `random` as
+ * the seed to draw one.  The script exits with status 1 if the seed or the
+ * configuration is invalid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  mergeConfig,
+  validateConfig,
+  parseSeed,
+  generateSeed,
+  createDesignFile,
+  afcItem,
+  toDelimited
+} = require('../design.js');
+
+/**
+ * Flatten the trials of a design file into one row per trial.  Item
+ * columns are numbered in the order of the memory array (item1 is the
+ * critical item) and padded with nulls up to the largest set size.
+ * @param {Object} design Design file returned by createDesignFile
+ * @returns {Array<Object>} Rows with identical, ordered keys
+ */
+function designRows(design) {
+  const maxItems = Math.max(...design.config.set_sizes);
+  return design.trials.map(trial => {
+    const row = {
+      trial: trial.trial,
+      block: trial.block,
+      set_size: parseInt(trial.set_size.slice(4), 10),
+      encoding_time: trial.encoding_time,
+      context: trial.context,
+      category: trial.category,
+      id: trial.id,
+      catch_type: trial.catch_type,
+      catch_slot: trial.catch_slot === null ? null : trial.catch_slot + 1
+    };
+    for (let k = 0; k < maxItems; k++) {
+      const present = k < trial.obj.length;
+      row[`item${k + 1}_category`] = present ? trial.stimuli_category[k] : null;
+      row[`item${k + 1}_object`] = present ? trial.obj[k] : null;
+      row[`item${k + 1}_state`] = present ? trial.state[k] : null;
+      row[`item${k + 1}_position`] = present ? trial.stimulus_loc[k] : null;
+    }
+    trial.afc_loc.forEach((type, slot) => {
+      const item = afcItem(type, trial.afc_cat, trial.afc_stim, trial.state[0]);
+      row[`afc_slot${slot + 1}_type`] = type;
+      row[`afc_slot${slot + 1}_category`] = item.category;
+      row[`afc_slot${slot + 1}_object`] = item.object;
+      row[`afc_slot${slot + 1}_state`] = item.state;
+    });
+    return row;
+  });
+}
+
+function main() {
+  const [seedArg, configArg, outArg] = process.argv.slice(2);
+  if (!seedArg) {
+    console.error('Usage: node tools/generate_trials.js <seed|random> [config_file] [output_dir]');
+    process.exit(1);
+  }
+  const seed = seedArg === 'random' ? generateSeed() : parseSeed(seedArg);
+  if (seed === null) {
+    console.error(`Invalid seed ${seedArg}: it must be a whole number between 0 and 4294967295.`);
+    process.exit(1);
+  }
+  const configFile = path.resolve(configArg || 'config.json');
+  let loaded;
+  try {
+    loaded = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (err) {
+    console.error(`Could not read ${configFile}: ${err.message}`);
+    process.exit(1);
+  }
+  const config = mergeConfig(loaded);
+  const errors = validateConfig(config);
+  if (errors.length) {
+    errors.forEach(msg => console.error(`Invalid configuration: ${msg}`));
+    process.exit(1);
+  }
+  const design = Object.assign({
+    generated_by: 'tools/generate_trials.js',
+    config_file: path.basename(configFile)
+  }, createDesignFile(config, seed));
+  const outDir = path.resolve(outArg || 'designs');
+  fs.mkdirSync(outDir, { recursive: true });
+  const base = path.join(outDir, `design_seed-${seed}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(design, null, 2) + '\n');
+  fs.writeFileSync(`${base}.csv`, toDelimited(designRows(design), ','));
+  const nCatch = design.trials.filter(trial => trial.catch_type).length;
+  console.log(`Wrote ${design.trials.length} trials (${nCatch} catch trials) for seed ${seed} to ${base}.json and ${base}.csv`);
+}
+
+main();
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/*
+ * mock_backend.js
+ *
+ * Local stand-in for the online platforms of backends.js, so that the
+ * adapters can be tried without a Pavlovia project, an OSF account or a
+ * Prolific study:
+ *
+ *   node tools/mock_backend.js [port]
+ *
+ * It serves the experiment on port 8000 (unless given) along
+ * with mock endpoints that accept what the adapters send and log it:
+ *
+ *   POST   /pavlovia/api/v2/experiments/<id>/sessions       Open a session
+ *   POST   /pavlovia/api/v2/experiments/<id>/sessions/<token>/results
+ *   DELETE /pavlovia/api/v2/experiments/<id>/sessions/<token>
+ *   POST   /osf/                                            DataPipe upload
+ *   GET    /prolific/complete?cc=<code>                     Completion page
+ *   GET    /mock/received                                   Everything received
+ *
+ * To run a session against it, point the adapters at the mock in the
+ * configuration, e.g. `"pavlovia_url": "http://localhost:8000/pavlovia"`,
+ * `"osf_url": "http://localhost:8000/osf/"` and `"prolific_url":
+ * "http://localhost:8000/prolific/complete"`, and open
+ * http://localhost:8000/?PROLIFIC_PID=test&STUDY_ID=s1&SESSION_ID=x1.
+ * The JATOS adapter needs the jatos.js of a real JATOS server and is not
+ * mocked.
+ *
+ * tools/test_backends.js runs every adapter against the mock.
+ */
+
+const http = require('http');
+const { serveStatic } = require('./static_files.js');
+
+// Sent with every response, so pages served elsewhere can call the mock
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept'
+};
+
+const PAVLOVIA_SESSIONS = /^\/pavlovia\/api\/v2\/experiments\/([^/]+)\/sessions(?:\/([^/]+)(\/results)?)?$/;
+
+/**
+ * Read a request body as text.
+ * @param {http.IncomingMessage} req Request
+ * @returns {Promise<string>} Body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Answer a request, allowing pages served elsewhere to call the mock.
+ * @param {http.ServerResponse} res Response
+ * @param {number} status HTTP status
+ * @param {string} type Content type
+ * @param {string} body Response body
+ */
+function send(res, status, type, body) {
+  res.writeHead(status, Object.assign({ 'Content-Type': type }, CORS_HEADERS));
+  res.end(body);
+}
+
+const sendJson = (res, status, body) => send(res, status, 'application/json', JSON.stringify(body));
+
+/**
+ * Create the mock server.  Every request to a mock endpoint is added to
+ * `received` as { platform, method, path, ... } with the parsed fields.
+ * @param {Array<Object>} received Log of the requests
+ * @returns {http.Server} Server, not yet listening
+ */
+function createMockServer(received) {
+  const sessions = new Set();
+  let nextToken = 1;
+  const log = entry => {
+    received.push(Object.assign({ time: new Date().toISOString() }, entry));
+    console.log(`${entry.method} ${entry.path} (${entry.platform})`);
+  };
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const urlPath = decodeURIComponent(url.pathname);
+    const base = { method: req.method, path: urlPath };
+    if (req.method === 'OPTIONS') {
+      send(res, 204, 'text/plain', '');
+      return;
+    }
+    const body = await readBody(req);
+    const pavlovia = urlPath.match(PAVLOVIA_SESSIONS);
+    if (pavlovia) {
+      const [, project, token, results] = pavlovia;
+      const fields = Object.fromEntries(new URLSearchParams(body));
+      if (!token && req.method === 'POST') {
+        const newToken = `mock-${nextToken++}`;
+        sessions.add(newToken);
+        log(Object.assign({ platform: 'pavlovia', project, token: newToken, fields }, base));
+        sendJson(res, 200, { token: newToken, experiment: { status2: 'RUNNING', saveFormat: 'CSV' } });
+        return;
+      }
+      if (!sessions.has(token)) {
+        sendJson(res, 404, { error: `No open session ${token}` });
+        return;
+      }
+      if (results && req.method === 'POST') {
+        log(Object.assign({ platform: 'pavlovia', project, token, fields }, base));
+        sendJson(res, 200, { message: 'results uploaded' });
+        return;
+      }
+      if (!results && req.method === 'DELETE') {
+        sessions.delete(token);
+        log(Object.assign({ platform: 'pavlovia', project, token, fields }, base));
+        sendJson(res, 200, { message: 'session closed' });
+        return;
+      }
+    }
+    if (urlPath === '/osf/' && req.method === 'POST') {
+      let fields;
+      try {
+        fields = JSON.parse(body);
+      } catch (err) {
+        sendJson(res, 400, { error: 'Invalid JSON' });
+        return;
+      }
+      log(Object.assign({ platform: 'osf', fields }, base));
+      sendJson(res, 201, { message: 'Success' });
+      return;
+    }
+    if (urlPath === '/prolific/complete' && req.method === 'GET') {
+      const code = url.searchParams.get('cc');
+      log(Object.assign({ platform: 'prolific', code }, base));
+      send(res, 200, 'text/html; charset=utf-8',
+        `<!DOCTYPE html><title>Mock Prolific</title><p>Submission completed with code ${String(code).replace(/[<>&"]/g, '')}.</p>`);
+      return;
+    }
+    if (urlPath === '/mock/received' && req.method === 'GET') {
+      sendJson(res, 200, received);
+      return;
+    }
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      serveStatic(res, urlPath, CORS_HEADERS);
+      return;
+    }
+    sendJson(res, 404, { error: `No mock endpoint ${req.method} ${urlPath}` });
+  });
+}
+
+function main() {
+  const port = parseInt(process.argv[2] || '8000', 10);
+  createMockServer([]).listen(port, () => {
+    console.log(`Mock backend and experiment on http://localhost:${port}/`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { createMockServer };
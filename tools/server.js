@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/*
+ * server.js
+ *
+ * Small data-collection server for lab sessions.  It serves the experiment
+ * and receives the data as the session runs, so results end up in one
+ * folder instead of the Downloads folder of whichever machine was used:
+ *
+ *   node tools/server.js [port] [data_dir]
+ *
+ * The experiment is served on port 8000 and data are written to `data`
+ * unless given otherwise.  Only the files of the experiment are served:
+ * the page, its scripts, style and configuration, the instruction images,
+ * the stimuli and the design files in `designs`.  Set
+ * `data_server.enabled` in config.json to make the task send its data here.
+ * Nothing outside the Node standard library is needed.
+ *
+ * Endpoints (both take JSON and answer { ok, file, sha256 } or
+ * { ok: false, error }):
+ *
+ *   POST /data/trial    One completed trial: { participant, seed, phase,
+ *                       trial, attempt, record }.  Trials are collected in
+ *                       `<number>_semantic_vwm_trials.json`, one file per
+ *                       seed: a session with another seed gets a numbered
+ *                       file like the results do, while a resumed session
+ *                       keeps its seed and its file.  A trial sent twice
+ *                       replaces the earlier copy.
+ *   POST /data/results  The final `p` object.  Written as
+ *                       `<number>_semantic_vwm.json`, or with a `_partial`
+ *                       suffix for aborted sessions.  A different session
+ *                       of the same participant number is written next to
+ *                       it with a numbered suffix instead of replacing it.
+ *
+ * Every response allows cross-origin requests, so the experiment can be
+ * served from elsewhere (e.g. a web server of the department) while
+ * `data_server.url` points here.
+ *
+ * If the request carries an `X-Content-SHA256` header the body must match
+ * it.  Every file is written to a temporary file, flushed and renamed over
+ * the target, so a crash never leaves a half-written file; the file is then
+ * read back and its SHA-256 compared with what was received.  The checksum
+ * is also stored next to each file in `sha256sum` format.
+ *
+ * tools/test_server.js checks the endpoints against a server on a free
+ * port.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ROOT, serveStatic } = require('./static_files.js');
+const { dataFileName, trialsFileName } = require('./data_files.js');
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Sent with every response so that pages of other origins can post data;
+// the JSON body and the checksum header make browsers ask first with an
+// OPTIONS request
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-Content-SHA256'
+};
+
+/**
+ * SHA-256 of a string or buffer as lowercase hex.
+ * @param {string|Buffer} content Content to hash
+ * @returns {string} Hex digest
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Write a file atomically: write and flush a temporary file in the same
+ * folder, rename it over the target and check the result by reading it
+ * back.  The checksum is stored in `<file>.sha256`.
+ * @param {string} file Target path
+ * @param {string} content File contents
+ * @returns {string} SHA-256 of the written file
+ * @throws {Error} If the file read back differs from `content`
+ */
+function writeAtomic(file, content) {
+  const expected = sha256(content);
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  const written = sha256(fs.readFileSync(file));
+  if (written !== expected) {
+    throw new Error(`Checksum of ${path.basename(file)} differs after writing`);
+  }
+  fs.writeFileSync(`${file}.sha256`, `${written}  ${path.basename(file)}\n`);
+  return written;
+}
+
+/**
+ * Make a participant number safe to use in a file name.
+ * @param {*} number Participant number from the request
+ * @returns {string} File name prefix
+ */
+function participantPrefix(number) {
+  const safe = String(number === undefined || number === null ? '' : number).trim().replace(/[^A-Za-z0-9_-]/g, '_');
+  if (!safe) throw Object.assign(new Error('The participant number is missing'), { status: 400 });
+  return safe;
+}
+
+/**
+ * Read a JSON request body, checking its size and, if the client sent
+ * one, its checksum.
+ * @param {http.IncomingMessage} req Request
+ * @returns {Promise<{body: Object, raw: string}>} Parsed and raw body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const claimed = req.headers['x-content-sha256'];
+      if (claimed && claimed.toLowerCase() !== sha256(body)) {
+        reject(Object.assign(new Error('Body does not match its X-Content-SHA256 checksum'), { status: 400 }));
+        return;
+      }
+      const raw = body.toString('utf8');
+      try {
+        resolve({ body: JSON.parse(raw), raw });
+      } catch (err) {
+        reject(Object.assign(new Error(`Invalid JSON: ${err.message}`), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Store one completed trial in the trial file of its session, which is
+ * told apart from other sessions of the participant by its seed.
+ * @param {string} dataDir Data folder
+ * @param {Object} body { participant, seed, phase, trial, attempt, record }
+ * @returns {{file: string, sha256: string}}
+ */
+function saveTrial(dataDir, body) {
+  const prefix = participantPrefix(body.participant);
+  if (!Number.isInteger(body.trial) || !body.record || typeof body.record !== 'object') {
+    throw Object.assign(new Error('A trial needs an integer trial index and a record'), { status: 400 });
+  }
+  const seed = body.seed === undefined ? null : body.seed;
+  let file;
+  let log;
+  for (let copy = 1; !log; copy++) {
+    file = path.join(dataDir, trialsFileName(prefix, copy));
+    if (!fs.existsSync(file)) {
+      log = { participant: body.participant, seed, trials: [] };
+    } else {
+      const existing = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (existing.seed === seed) log = existing;
+    }
+  }
+  const entry = {
+    phase: body.phase || 'task',
+    trial: body.trial,
+    attempt: body.attempt || 1,
+    received_at: new Date().toISOString(),
+    record: body.record
+  };
+  const same = t => t.phase === entry.phase && t.trial === entry.trial && t.attempt === entry.attempt;
+  log.trials = log.trials.filter(t => !same(t)).concat(entry);
+  return { file: path.basename(file), sha256: writeAtomic(file, JSON.stringify(log, null, 2)) };
+}
+
+/**
+ * Store the final data of a session exactly as received, so the checksum
+ * of the file equals that of the client's copy.  An existing file with the
+ * same contents is kept as is, so a repeated upload is harmless; a
+ * different session of the same participant gets a numbered file of its
+ * own.
+ * @param {string} dataDir Data folder
+ * @param {Object} body The `p` data object
+ * @param {string} content The request body as received
+ * @returns {{file: string, sha256: string}}
+ */
+function saveResults(dataDir, body, content) {
+  const prefix = participantPrefix(body.participant && body.participant.number);
+  for (let copy = 1; ; copy++) {
+    const name = dataFileName(prefix, body.status === 'aborted', copy);
+    const file = path.join(dataDir, name);
+    if (!fs.existsSync(file)) return { file: name, sha256: writeAtomic(file, content) };
+    const existing = sha256(fs.readFileSync(file));
+    if (existing === sha256(content)) return { file: name, sha256: existing };
+  }
+}
+
+/**
+ * Answer a request with JSON.
+ * @param {http.ServerResponse} res Response
+ * @param {number} status HTTP status
+ * @param {Object} body Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the data server.
+ * @param {string} dataDir Data folder, which must exist
+ * @returns {http.Server} Server, not yet listening
+ */
+function createDataServer(dataDir) {
+  const handlers = { '/data/trial': saveTrial, '/data/results': saveResults };
+  const server = http.createServer(async (req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+      sendJson(res, 400, { ok: false, error: 'Invalid URL' });
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      serveStatic(res, urlPath, CORS_HEADERS, dataDir);
+      return;
+    }
+    if (req.method !== 'POST' || !handlers[urlPath]) {
+      sendJson(res, 404, { ok: false, error: `No endpoint ${req.method} ${urlPath}` });
+      return;
+    }
+    try {
+      const { body, raw } = await readJson(req);
+      const result = handlers[urlPath](dataDir, body, raw);
+      console.log(`${new Date().toISOString()} ${urlPath}: wrote ${result.file} (sha256 ${result.sha256.slice(0, 12)})`);
+      sendJson(res, 200, Object.assign({ ok: true }, result));
+    } catch (err) {
+      console.error(`${new Date().toISOString()} ${urlPath}: ${err.message}`);
+      sendJson(res, err.status || 500, { ok: false, error: err.message });
+    }
+  });
+  return server;
+}
+
+function main() {
+  const port = parseInt(process.argv[2] || '8000', 10);
+  const dataDir = path.resolve(process.argv[3] || path.join(ROOT, 'data'));
+  fs.mkdirSync(dataDir, { recursive: true });
+  createDataServer(dataDir).listen(port, () => {
+    console.log(`Serving ${ROOT} on http://localhost:${port}/ and writing data to ${dataDir}`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { sha256, createDataServer };
@@ -0,0 +1,63 @@
+/*
+ * static_files.js
+ *
+ * Serving of the experiment's files, shared by tools/server.js and
+ * tools/mock_backend.js.  Only the files the experiment loads are served:
+ * the page, its scripts, style and configuration, the instruction images,
+ * the stimuli and the design files in `designs`.  The rest of the
+ * experiment directory (the repository, the tools, collected data) is not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.csv': 'text/csv; charset=utf-8'
+};
+
+// Files and folders of the experiment directory that are served
+const STATIC_FILES = ['index.html', 'design.js', 'analysis.js', 'backends.js', 'script.js', 'style.css',
+  'config.json', 'instr1.png', 'instr2.png'];
+const STATIC_FOLDERS = ['stimuli_folder', 'designs'];
+
+/**
+ * Serve a file of the experiment, or answer 404 for anything else.
+ * @param {http.ServerResponse} res Response
+ * @param {string} urlPath Decoded path of the request
+ * @param {Object} [headers={}] Further headers of the response
+ * @param {string|null} [excluded=null] Folder never served, e.g. the data
+ *   folder
+ */
+function serveStatic(res, urlPath, headers = {}, excluded = null) {
+  const file = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+  const relative = path.relative(ROOT, file);
+  const served = (STATIC_FILES.includes(relative) || STATIC_FOLDERS.some(folder => relative.startsWith(folder + path.sep))) &&
+    !(excluded && (file + path.sep).startsWith(excluded + path.sep));
+  if (!served || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    res.writeHead(404, Object.assign({ 'Content-Type': 'text/plain' }, headers));
+    res.end('Not found');
+    return;
+  }
+  res.writeHead(200, Object.assign({
+    'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-store'
+  }, headers));
+  fs.createReadStream(file).pipe(res);
+}
+
+module.exports = {
+  ROOT,
+  MIME_TYPES,
+  STATIC_FILES,
+  STATIC_FOLDERS,
+  serveStatic
+};
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/*
+ * test_backends.js
+ *
+ * Checks of the platform adapters in backends.js:
+ *
+ *   node tools/test_backends.js
+ *
+ * The mock of tools/mock_backend.js is started on a free port and every
+ * adapter is run against it from Node, the JATOS adapter against a
+ * stand-in for jatos.js; the script reports each check and exits with
+ * status 1 if any fails.
+ */
+
+const { createAdapters, readUrlIds } = require('../backends.js');
+const { DEFAULT_CONFIG } = require('../design.js');
+const { createMockServer } = require('./mock_backend.js');
+
+/**
+ * Run every adapter against the mock and check what arrived.
+ * @param {string} origin Address of the running mock
+ * @param {Array<Object>} received Log of the mock
+ * @returns {Promise<number>} Number of failed checks
+ */
+async function runTests(origin, received) {
+  let failures = 0;
+  const check = (ok, what) => {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${what}`);
+    if (!ok) failures++;
+  };
+  const attempt = async (what, fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      check(false, `${what}: ${err.message}`);
+    }
+  };
+  const settings = Object.assign({}, DEFAULT_CONFIG.backend, {
+    adapters: ['pavlovia', 'osf', 'prolific'],
+    pavlovia_url: `${origin}/pavlovia`,
+    pavlovia_project: '12345',
+    osf_url: `${origin}/osf/`,
+    osf_experiment_id: 'mockExperiment',
+    prolific_url: `${origin}/prolific/complete`,
+    completion_code: 'C0MPL3T3'
+  });
+  const text = JSON.stringify({ participant: { number: 'mock-1' }, status: 'complete' }, null, 2);
+  const upload = { text, filename: 'mock-1_semantic_vwm.json', status: 'complete' };
+  const env = { fetch: (...args) => fetch(...args), jatos: null };
+  const adapters = createAdapters(settings, env);
+  const byName = name => adapters.find(adapter => adapter.name === name);
+  const last = platform => received.filter(entry => entry.platform === platform);
+
+  await attempt('jatos', async () => {
+    const calls = [];
+    const jatos = {
+      submitResultData: async data => calls.push(['submitResultData', data]),
+      endStudyAjax: async successful => calls.push(['endStudyAjax', successful])
+    };
+    const [adapter] = createAdapters(Object.assign({}, settings, { adapters: ['jatos'] }), { fetch, jatos });
+    await adapter.submit(upload);
+    check(calls.length === 1 && calls[0][0] === 'submitResultData' && calls[0][1] === text,
+      'jatos: result data submitted through jatos.js without ending the study');
+    await adapter.complete('aborted');
+    check(calls.length === 2 && calls[1][0] === 'endStudyAjax' && calls[1][1] === false,
+      'jatos: study ended as unsuccessful when completing an aborted session');
+    const [missing] = createAdapters(Object.assign({}, settings, { adapters: ['jatos'] }), { fetch, jatos: null });
+    let rejected = false;
+    await missing.submit(upload).catch(() => { rejected = true; });
+    check(rejected, 'jatos: submitting fails without jatos.js');
+  });
+
+  await attempt('pavlovia', async () => {
+    await byName('pavlovia').submit(upload);
+    const [opened, results, closed] = last('pavlovia');
+    check(opened && opened.method === 'POST' && opened.project === '12345', 'pavlovia: session opened');
+    check(results && results.fields.key === upload.filename && results.fields.value === text,
+      'pavlovia: data file uploaded to the session');
+    check(closed && closed.method === 'DELETE' && closed.fields.isCompleted === 'true', 'pavlovia: session closed as completed');
+  });
+
+  await attempt('osf', async () => {
+    await byName('osf').submit(upload);
+    const [entry] = last('osf');
+    check(entry && entry.fields.experimentID === 'mockExperiment' && entry.fields.filename === upload.filename &&
+      entry.fields.data === text, 'osf: data file uploaded');
+  });
+
+  await attempt('prolific', async () => {
+    const prolific = byName('prolific');
+    const url = prolific.completionUrl('complete');
+    const response = await fetch(url);
+    check(response.ok && last('prolific')[0].code === 'C0MPL3T3', 'prolific: completion URL carries the completion code');
+    check(prolific.completionUrl('aborted') === null, 'prolific: no redirect for aborted sessions without aborted_code');
+  });
+
+  const [broken] = createAdapters(Object.assign({}, settings, { adapters: ['pavlovia'], pavlovia_url: `${origin}/missing` }), env);
+  let rejected = false;
+  await broken.submit(upload).catch(() => { rejected = true; });
+  check(rejected, 'an adapter pointed at a missing endpoint fails');
+
+  const ids = readUrlIds('?PROLIFIC_PID=abc123&STUDY_ID=s1&SESSION_ID=', DEFAULT_CONFIG.url_params);
+  check(ids.participant === 'abc123' && ids.study === 's1' && ids.session === null, 'url parameters: IDs read from the URL');
+  return failures;
+}
+
+function main() {
+  const received = [];
+  const server = createMockServer(received);
+  server.listen(0, async () => {
+    const failures = await runTests(`http://localhost:${server.address().port}`, received);
+    server.close();
+    console.log(failures ? `${failures} checks failed.` : 'All checks passed.');
+    process.exit(failures ? 1 : 0);
+  });
+}
+
+main();
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/*
+ * test_server.js
+ *
+ * Checks of the data server in tools/server.js:
+ *
+ *   node tools/test_server.js
+ *
+ * A server is started on a free port with a temporary data folder and sent
+ * a few sessions and trials.  Each check is reported, among them that
+ * numbered copies are named so that tools/analyse.js and
+ * tools/aggregate.js find them and that trial files are not; the script
+ * exits with status 1 if any fails.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sha256, createDataServer } = require('./server.js');
+const { DATA_FILE_PATTERN, COMPLETE_FILE_PATTERN, PARTIAL_FILE_PATTERN } = require('./data_files.js');
+
+/**
+ * Send sessions to a running server and check the files it writes.
+ * @param {string} origin Address of the running server
+ * @param {string} dataDir Its data folder
+ * @returns {Promise<number>} Number of failed checks
+ */
+async function runTests(origin, dataDir) {
+  let failures = 0;
+  const check = (ok, what) => {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${what}`);
+    if (!ok) failures++;
+  };
+  const post = async (body, headers = {}, endpoint = 'results') => {
+    const response = await fetch(`${origin}/data/${endpoint}`, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+      body
+    });
+    return Object.assign({ status: response.status }, await response.json());
+  };
+  const session = (seed, status) => JSON.stringify({ participant: { number: 't1' }, seed, status });
+
+  const first = await post(session(1, 'complete'));
+  check(first.ok && first.file === 't1_semantic_vwm.json' && fs.existsSync(path.join(dataDir, first.file)),
+    'results: first session written');
+  const repeated = await post(session(1, 'complete'));
+  check(repeated.file === first.file && !fs.existsSync(path.join(dataDir, 't1_semantic_vwm_2.json')),
+    'results: repeated upload of the same session kept as is');
+  const second = await post(session(2, 'complete'));
+  check(second.file === 't1_semantic_vwm_2.json' && fs.existsSync(path.join(dataDir, second.file)),
+    'results: another session of the participant written as a numbered copy');
+  check(COMPLETE_FILE_PATTERN.test(second.file) && DATA_FILE_PATTERN.test(second.file),
+    'results: numbered copy found by tools/aggregate.js and tools/analyse.js');
+  const aborted = await post(session(3, 'aborted'));
+  check(aborted.file === 't1_semantic_vwm_partial.json' && PARTIAL_FILE_PATTERN.test(aborted.file) &&
+    !COMPLETE_FILE_PATTERN.test(aborted.file) && DATA_FILE_PATTERN.test(aborted.file),
+    'results: aborted session written as a partial file');
+  const written = fs.readFileSync(path.join(dataDir, first.file));
+  check(fs.readFileSync(path.join(dataDir, `${first.file}.sha256`), 'utf8').startsWith(sha256(written)),
+    'results: checksum stored next to the file');
+  const damaged = await post(session(4, 'complete'), { 'X-Content-SHA256': sha256('something else') });
+  check(damaged.status === 400 && !damaged.ok, 'results: body not matching its checksum rejected');
+
+  const trial = (seed, index) => JSON.stringify({ participant: 't1', seed, phase: 'task', trial: index, attempt: 1, record: { seed } });
+  const trials = file => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8')).trials;
+  const firstTrial = await post(trial(1, 0), {}, 'trial');
+  await post(trial(1, 1), {}, 'trial');
+  check(firstTrial.file === 't1_semantic_vwm_trials.json' && trials(firstTrial.file).length === 2,
+    'trials: trials of a session collected in one file');
+  const otherTrial = await post(trial(2, 0), {}, 'trial');
+  check(otherTrial.file === 't1_semantic_vwm_trials_2.json' && trials(otherTrial.file).length === 1 &&
+    trials(firstTrial.file).every(entry => entry.record.seed === 1),
+    'trials: another session of the participant written as a numbered copy');
+  await post(trial(1, 1), {}, 'trial');
+  check(trials(firstTrial.file).length === 2, 'trials: trial sent twice replaces the earlier copy');
+  check(!DATA_FILE_PATTERN.test(firstTrial.file) && !DATA_FILE_PATTERN.test(otherTrial.file),
+    'trials: trial files not taken for data files');
+  const preflight = await fetch(`${origin}/data/results`, { method: 'OPTIONS' });
+  check(preflight.status === 204 && preflight.headers.get('access-control-allow-origin') === '*',
+    'cors: preflight answered');
+  const hidden = await fetch(`${origin}/tools/server.js`);
+  check(hidden.status === 404, 'static: files outside the experiment not served');
+  return failures;
+}
+
+function main() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-vwm-server-'));
+  const server = createDataServer(dataDir);
+  server.listen(0, async () => {
+    let failures;
+    try {
+      failures = await runTests(`http://localhost:${server.address().port}`, dataDir);
+    } finally {
+      server.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    console.log(failures ? `${failures} checks failed.` : 'All checks passed.');
+    process.exit(failures ? 1 : 0);
+  });
+}
+
+main();